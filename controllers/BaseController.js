@@ -60,6 +60,64 @@ class BaseController {
     return res.status(status).json(response);
   }
   
+  /**
+   * Check whether the client asked for a Server-Sent Events response
+   * via `Accept: text/event-stream`, `?stream=1` or `stream: true` in the body
+   * @protected
+   * @param {Object} req - Express request object
+   * @returns {Boolean} True when the response should be streamed
+   */
+  wantsEventStream(req) {
+    const stream = req.query?.stream;
+    if (stream === '1' || stream === 'true') return true;
+    if (req.body?.stream === true) return true;
+    return (req.headers.accept || '').includes('text/event-stream');
+  }
+
+  /**
+   * Start a Server-Sent Events response
+   * @protected
+   * @param {Object} res - Express response object
+   * @returns {Object} { signal, isClosed } - signal aborts when the client disconnects
+   */
+  openEventStream(res) {
+    const controller = new AbortController();
+    let clientGone = false;
+
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        clientGone = true;
+        controller.abort();
+        console.log(`Client disconnected from ${this.constructor.name} stream`);
+      }
+    });
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+
+    return {
+      signal: controller.signal,
+      isClosed: () => clientGone,
+    };
+  }
+
+  /**
+   * Write a single Server-Sent Event
+   * @protected
+   * @param {Object} res - Express response object
+   * @param {String} event - Event name
+   * @param {*} data - JSON-serializable payload
+   */
+  sendEvent(res, event, data) {
+    res.write(`event: ${event}\n`);
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+  }
+  
   /**
    * Validate required fields in a request
    * @protected
@@ -76,6 +134,18 @@ class BaseController {
     }
   }
   
+  /**
+   * Get the ID of the user making the request
+   * Set by the authenticate middleware from the verified bearer token, so
+   * userId values in the body, params or query are never trusted on their own.
+   * @protected
+   * @param {Object} req - Express request object
+   * @returns {String|undefined} The user ID, or undefined for anonymous requests
+   */
+  getUserId(req) {
+    return req.user?.id;
+  }
+
   /**
    * Get a value from a request with fallbacks
    * @protected
@@ -0,0 +1,412 @@
+import BaseController from './BaseController.js';
+import ChatService from '../services/ChatService.js';
+
+/**
+ * ChatController - Class for handling chat management HTTP requests
+ * Extends BaseController to inherit common functionality
+ */
+class ChatController extends BaseController {
+  /**
+   * Constructor for the chat controller
+   */
+  constructor() {
+    // Pass the ChatService to the base controller
+    super(ChatService);
+  }
+
+  /**
+   * Parse an optional boolean query parameter
+   * @private
+   * @param {String} value - Raw query value
+   * @returns {Boolean|undefined} Parsed value, undefined when not set
+   */
+  parseBooleanQuery(value) {
+    if (value === undefined || value === '') return undefined;
+    return value === 'true' || value === '1';
+  }
+
+  /**
+   * Send a message and get the assistant reply (streams when requested)
+   */
+  async sendChat(req, res) {
+    const { newChat, oldChats, generateLearningPath, chatId, suggestionId, language } = req.body;
+    const userId = this.getUserId(req);
+
+    if (!newChat && !suggestionId) {
+      return this.sendError(res, "newChat field is required.", 400);
+    }
+
+    if (suggestionId && !chatId) {
+      return this.sendError(res, "chatId is required when sending a suggestionId.", 400);
+    }
+
+    if (!userId) {
+      return this.sendError(res, "userId field is required.", 400);
+    }
+
+    try {
+      const exchange = await this.service.prepareExchange({
+        userId, chatId, newChat, oldChats, generateLearningPath, suggestionId, language,
+      });
+
+      return await this.respondWithReply(req, res, exchange.contextMessages, async ({ answer, suggestions }) => {
+        // Save the conversation to the database
+        const { savedChat, message, learningPath } = await this.service.saveChatExchange({
+          ...exchange, userId, answer, suggestions, generateLearningPath,
+        });
+
+        // Title new chats from their first exchange
+        if (savedChat && !exchange.chat) {
+          await this.service.applyGeneratedTitle(savedChat);
+        }
+
+        return {
+          isLearningPath: !!generateLearningPath,
+          chatId: savedChat?._id || exchange.chat?._id || null,
+          title: savedChat?.title || null,
+          language: exchange.language,
+          messageId: message?._id || null,
+          suggestions: this.service.formatSuggestions(message, suggestions),
+          learningPath,
+        };
+      });
+    } catch (error) {
+      return this.sendReplyError(res, error, "Internal server error.");
+    }
+  }
+
+  /**
+   * Generate a new version of the last assistant reply
+   * The previous reply is kept as a sibling branch.
+   */
+  async regenerateReply(req, res) {
+    const chatId = this.getRequestField(req, 'chatId', ['params']);
+    const userId = this.getUserId(req);
+
+    if (!chatId || !userId) {
+      return this.sendError(res, "chatId and userId are required.", 400);
+    }
+
+    try {
+      const { chat, parentId, contextMessages, promptTemplates } = await this.service.prepareRegeneration(chatId, userId);
+
+      return await this.respondWithReply(req, res, contextMessages, async ({ answer, suggestions }) => {
+        const { message } = await this.service.saveRegeneratedReply(chat, parentId, answer, suggestions, promptTemplates);
+        return {
+          chatId: chat._id,
+          messageId: message._id,
+          parentId,
+          suggestions: this.service.formatSuggestions(message),
+        };
+      });
+    } catch (error) {
+      return this.sendReplyError(res, error, "Failed to regenerate reply");
+    }
+  }
+
+  /**
+   * Edit an earlier user message, creating a new branch with a fresh reply
+   */
+  async editMessage(req, res) {
+    const chatId = this.getRequestField(req, 'chatId', ['params']);
+    const messageId = this.getRequestField(req, 'messageId', ['params']);
+    const userId = this.getUserId(req);
+    const content = this.getRequestField(req, 'content', ['body']);
+
+    if (!chatId || !messageId || !userId || !content) {
+      return this.sendError(res, "chatId, messageId, userId and content are required.", 400);
+    }
+
+    try {
+      const edit = await this.service.prepareEdit(chatId, userId, messageId, content);
+
+      return await this.respondWithReply(req, res, edit.contextMessages, async ({ answer, suggestions }) => {
+        const { userMessage, message } = await this.service.saveEditedExchange(
+          edit.chat, edit.parentId, edit.content, answer, suggestions, edit.promptTemplates
+        );
+        return {
+          chatId: edit.chat._id,
+          userMessageId: userMessage._id,
+          messageId: message._id,
+          suggestions: this.service.formatSuggestions(message),
+        };
+      });
+    } catch (error) {
+      return this.sendReplyError(res, error, "Failed to edit message");
+    }
+  }
+
+  /**
+   * Switch the active branch to the one containing a message
+   */
+  async switchBranch(req, res) {
+    try {
+      const chatId = this.getRequestField(req, 'chatId', ['params']);
+      const userId = this.getUserId(req);
+      const messageId = this.getRequestField(req, 'messageId', ['body']);
+
+      if (!chatId || !userId || !messageId) {
+        return this.sendError(res, "chatId, userId and messageId are required.", 400);
+      }
+
+      const chat = await this.service.switchBranch(chatId, userId, messageId);
+
+      return this.sendSuccess(res, { chat });
+    } catch (error) {
+      if (error.message === 'Chat not found' || error.message === 'Message not found') {
+        return this.sendError(res, error.message, 404);
+      }
+
+      return this.sendError(res, "Failed to switch branch", 500);
+    }
+  }
+
+  /**
+   * Generate a reply and send it as JSON, or as Server-Sent Events when requested
+   * @private
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Array} contextMessages - Model context
+   * @param {Function} persist - Saves { answer, suggestions } and returns extra response fields
+   */
+  async respondWithReply(req, res, contextMessages, persist) {
+    const userId = this.getUserId(req);
+
+    if (this.wantsEventStream(req)) {
+      return this.streamReply(res, contextMessages, persist, userId);
+    }
+
+    // Call the configured LLM provider
+    const completion = await this.service.generateReply(contextMessages, { userId });
+    const { answer, suggestions } = this.service.parseReply(completion.text || "No response text");
+
+    const fields = await persist({ answer, suggestions });
+
+    return this.sendSuccess(res, { answer, role: "model", ...fields });
+  }
+
+  /**
+   * Stream the assistant reply as Server-Sent Events.
+   * Emits `token` events while generating and a final `done` event once the
+   * answer has been saved. Follow-up suggestions are held back from the token
+   * stream and sent in `done` together with the cleaned answer. If the client
+   * disconnects the upstream request is aborted and nothing is persisted.
+   * @private
+   */
+  async streamReply(res, contextMessages, persist, userId) {
+    const stream = this.openEventStream(res);
+
+    const filter = this.service.createReplyStreamFilter(
+      (text) => this.sendEvent(res, "token", { text })
+    );
+
+    let answer;
+    let suggestions;
+    try {
+      const completion = await this.service.generateReply(contextMessages, {
+        onToken: (text) => filter.push(text),
+        signal: stream.signal,
+        userId,
+      });
+      filter.flush();
+      ({ answer, suggestions } = this.service.parseReply(completion.text));
+    } catch (error) {
+      if (stream.isClosed()) return;
+      throw error;
+    }
+
+    if (stream.isClosed()) return;
+
+    if (!answer) {
+      throw new Error("No content generated by LLM provider");
+    }
+
+    const fields = await persist({ answer, suggestions });
+
+    if (stream.isClosed()) return;
+
+    this.sendEvent(res, "done", { role: "model", answer, ...fields });
+    res.end();
+  }
+
+  /**
+   * Report a failure from a reply-generating endpoint
+   * Once an event stream has started the error can only be sent in-band.
+   * @private
+   */
+  sendReplyError(res, error, message) {
+    console.error(
+      "Error calling LLM provider:",
+      error.response?.data || error.message
+    );
+
+    if (res.headersSent) {
+      if (!res.writableEnded) {
+        this.sendEvent(res, "error", { error: message });
+        res.end();
+      }
+      return;
+    }
+
+    if (['Chat not found', 'Message not found', 'Suggestion not found'].includes(error.message)) {
+      return this.sendError(res, error.message, 404);
+    }
+
+    if (error.message.startsWith('Invalid')) {
+      return this.sendError(res, error.message, 400);
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: message,
+      details: error.response?.data || error.message,
+    });
+  }
+
+  /**
+   * Get chat history for a user
+   */
+  async getChatHistory(req, res) {
+    try {
+      // Get userId and validate
+      const userId = this.getUserId(req);
+      if (!userId) {
+        return this.sendError(res, "userId parameter is required.", 400);
+      }
+      
+      // Get pagination and filter parameters
+      const archivedParam = this.getRequestField(req, 'archived', ['query']);
+      const result = await this.service.getUserChats(userId, {
+        limit: this.getRequestField(req, 'limit', ['query'], 20),
+        page: this.getRequestField(req, 'page', ['query'], 1),
+        archived: archivedParam === 'all' ? 'all' : !!this.parseBooleanQuery(archivedParam),
+        pinned: this.parseBooleanQuery(this.getRequestField(req, 'pinned', ['query'])),
+      });
+      
+      // Send successful response
+      return this.sendSuccess(res, result);
+    } catch (error) {
+      return this.sendError(res, "Failed to fetch chat history", 500);
+    }
+  }
+
+  /**
+   * Get a specific chat
+   */
+  async getChatById(req, res) {
+    try {
+      // Get required parameters
+      const chatId = this.getRequestField(req, 'chatId', ['params']);
+      const userId = this.getUserId(req);
+      
+      if (!chatId) {
+        return this.sendError(res, "chatId parameter is required.", 400);
+      }
+      
+      if (!userId) {
+        return this.sendError(res, "userId query parameter is required.", 400);
+      }
+      
+      // Only the active branch is returned; messages carry their sibling ids
+      const chat = await this.service.getChatView(chatId, userId);
+      
+      return this.sendSuccess(res, { chat });
+    } catch (error) {
+      if (error.message === 'Chat not found') {
+        return this.sendError(res, error.message, 404);
+      }
+      
+      return this.sendError(res, "Failed to fetch chat", 500);
+    }
+  }
+
+  /**
+   * Rename, pin or archive a chat
+   */
+  async updateChat(req, res) {
+    try {
+      // Get required parameters
+      const chatId = this.getRequestField(req, 'chatId', ['params']);
+      const userId = this.getUserId(req);
+      
+      if (!chatId || !userId) {
+        return this.sendError(res, "chatId and userId are required.", 400);
+      }
+      
+      const { title, pinned, archived } = req.body;
+      const chat = await this.service.updateChat(chatId, userId, { title, pinned, archived });
+      
+      return this.sendSuccess(res, { chat });
+    } catch (error) {
+      if (error.message === 'Chat not found') {
+        return this.sendError(res, error.message, 404);
+      }
+      
+      if (error.message === 'Nothing to update' || error.message.startsWith('Invalid chat update')) {
+        return this.sendError(res, error.message, 400);
+      }
+      
+      return this.sendError(res, "Failed to update chat", 500);
+    }
+  }
+
+  /**
+   * Generate a new title for a chat
+   */
+  async retitleChat(req, res) {
+    try {
+      // Get required parameters
+      const chatId = this.getRequestField(req, 'chatId', ['params']);
+      const userId = this.getUserId(req);
+      
+      if (!chatId || !userId) {
+        return this.sendError(res, "chatId and userId are required.", 400);
+      }
+      
+      const chat = await this.service.retitleChat(chatId, userId);
+      
+      return this.sendSuccess(res, { chat });
+    } catch (error) {
+      if (error.message === 'Chat not found') {
+        return this.sendError(res, error.message, 404);
+      }
+      
+      return this.sendError(res, error.message, 502);
+    }
+  }
+
+  /**
+   * Delete a chat
+   * `learningPaths=delete` also removes learning paths created from the chat,
+   * the default `keep` leaves them in place and marks them as detached.
+   */
+  async deleteChat(req, res) {
+    try {
+      // Get required parameters
+      const chatId = this.getRequestField(req, 'chatId', ['params']);
+      const userId = this.getUserId(req);
+      const learningPaths = this.getRequestField(req, 'learningPaths', ['body', 'query'], 'keep');
+      
+      if (!chatId || !userId) {
+        return this.sendError(res, "chatId and userId are required.", 400);
+      }
+      
+      const result = await this.service.deleteChat(chatId, userId, learningPaths);
+      
+      return this.sendSuccess(res, result, 200, "Chat deleted successfully");
+    } catch (error) {
+      if (error.message === 'Chat not found') {
+        return this.sendError(res, error.message, 404);
+      }
+      
+      if (error.message.startsWith('Invalid learningPaths option')) {
+        return this.sendError(res, error.message, 400);
+      }
+      
+      return this.sendError(res, "Failed to delete chat", 500);
+    }
+  }
+}
+
+// Export a singleton instance
+export default new ChatController();
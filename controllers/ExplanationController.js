@@ -0,0 +1,62 @@
+import BaseController from './BaseController.js';
+import ExplanationService from '../services/ExplanationService.js';
+import UserPreferenceService from '../services/UserPreferenceService.js';
+
+/**
+ * ExplanationController - Class for handling step explanation HTTP requests
+ * Extends BaseController to inherit common functionality
+ */
+class ExplanationController extends BaseController {
+  /**
+   * Constructor for the explanation controller
+   */
+  constructor() {
+    // Pass the ExplanationService to the base controller
+    super(ExplanationService);
+  }
+
+  /**
+   * Explain a learning step
+   * Pass `refresh=true` in the body or query to bypass the cache. The reply
+   * language is `language` from the body, else the signed-in user's preference.
+   */
+  async explainStep(req, res) {
+    const { stepTitle, stepType, language } = req.body;
+    const userId = this.getUserId(req);
+    
+    if (!stepTitle || typeof stepTitle !== 'string' || !stepTitle.trim()) {
+      return this.sendError(res, "stepTitle field is required.", 400);
+    }
+    
+    const refresh = this.getRequestField(req, 'refresh', ['body', 'query'], false);
+    
+    try {
+      const result = await this.service.explainStep({
+        stepTitle,
+        stepType,
+        refresh: refresh === true || refresh === 'true' || refresh === '1',
+        language: await UserPreferenceService.resolveLanguage(userId, language),
+        userId,
+      });
+      
+      return this.sendSuccess(res, result);
+    } catch (error) {
+      if (error.message.startsWith('Invalid language')) {
+        return this.sendError(res, error.message, 400);
+      }
+      
+      console.error(
+        "Error generating explanation:",
+        error.response?.data || error.message
+      );
+      return res.status(500).json({
+        success: false,
+        error: "Failed to generate explanation",
+        details: error.response?.data || error.message,
+      });
+    }
+  }
+}
+
+// Export a singleton instance
+export default new ExplanationController();
@@ -0,0 +1,94 @@
+import BaseController from './BaseController.js';
+import ExportService from '../services/ExportService.js';
+
+/**
+ * ExportController - Class for handling chat export HTTP requests
+ * Extends BaseController to inherit common functionality
+ */
+class ExportController extends BaseController {
+  /**
+   * Constructor for the export controller
+   */
+  constructor() {
+    // Pass the ExportService to the base controller
+    super(ExportService);
+  }
+
+  /**
+   * Download a single chat as md, html or json
+   */
+  async exportChat(req, res) {
+    try {
+      // Get required parameters
+      const chatId = this.getRequestField(req, 'chatId', ['params']);
+      const userId = this.getUserId(req);
+      const format = this.getRequestField(req, 'format', ['query'], 'md');
+      
+      if (!chatId || !userId) {
+        return this.sendError(res, "chatId and userId are required.", 400);
+      }
+      
+      const { filename, contentType, body } = await this.service.exportChat(chatId, userId, format);
+      
+      res.set('Content-Type', contentType);
+      res.attachment(filename);
+      return res.send(body);
+    } catch (error) {
+      if (error.message === 'Chat not found') {
+        return this.sendError(res, error.message, 404);
+      }
+      
+      if (error.message.startsWith('Invalid export format')) {
+        return this.sendError(res, error.message, 400);
+      }
+      
+      return this.sendError(res, "Failed to export chat", 500);
+    }
+  }
+
+  /**
+   * Download every chat of a user as a zip archive
+   */
+  async exportUserChats(req, res) {
+    try {
+      // Get required parameters
+      const userId = this.getUserId(req);
+      const format = this.getRequestField(req, 'format', ['query'], 'md');
+      
+      if (!userId) {
+        return this.sendError(res, "userId parameter is required.", 400);
+      }
+      
+      const { filename, archive, cancel } = this.service.exportUserChats(userId, format);
+      
+      // Stop reading chats when the client disconnects before the download is done
+      res.on('close', () => {
+        if (!res.writableFinished) cancel();
+      });
+      
+      archive.on('error', (error) => {
+        console.error('Error streaming chat archive:', error);
+        
+        if (!res.headersSent) {
+          return this.sendError(res, "Failed to export chats", 500);
+        }
+        
+        // The archive is already partially sent; cut the download short
+        res.destroy(error);
+      });
+      
+      res.set('Content-Type', 'application/zip');
+      res.attachment(filename);
+      archive.pipe(res);
+    } catch (error) {
+      if (error.message.startsWith('Invalid export format')) {
+        return this.sendError(res, error.message, 400);
+      }
+      
+      return this.sendError(res, "Failed to export chats", 500);
+    }
+  }
+}
+
+// Export a singleton instance
+export default new ExportController();
@@ -0,0 +1,48 @@
+import BaseController from './BaseController.js';
+import ImportService from '../services/ImportService.js';
+
+/**
+ * ImportController - Class for handling chat import HTTP requests
+ * Extends BaseController to inherit common functionality
+ */
+class ImportController extends BaseController {
+  /**
+   * Constructor for the import controller
+   */
+  constructor() {
+    // Pass the ImportService to the base controller
+    super(ImportService);
+  }
+
+  /**
+   * Import a conversation as a new chat
+   * Body: { userId, data | oldChats, title?, createLearningPaths? }
+   */
+  async importChat(req, res) {
+    try {
+      // Get required parameters
+      const userId = this.getUserId(req);
+      const data = this.getRequestField(req, 'data', ['body']) ?? this.getRequestField(req, 'oldChats', ['body']);
+      
+      if (!userId || !data) {
+        return this.sendError(res, "userId and data (or oldChats) are required.", 400);
+      }
+      
+      const result = await this.service.importChat(userId, data, {
+        title: this.getRequestField(req, 'title', ['body']),
+        createLearningPaths: this.getRequestField(req, 'createLearningPaths', ['body']) === true,
+      });
+      
+      return this.sendSuccess(res, result, 201);
+    } catch (error) {
+      if (error.message.startsWith('Invalid import') || error.name === 'ValidationError') {
+        return this.sendError(res, error.message, 400);
+      }
+      
+      return this.sendError(res, "Failed to import chat", 500);
+    }
+  }
+}
+
+// Export a singleton instance
+export default new ImportController();
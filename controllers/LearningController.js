@@ -1,5 +1,10 @@
 import BaseController from './BaseController.js';
 import LearningService from '../services/LearningService.js';
+import ChatService from '../services/ChatService.js';
+import StepThreadService from '../services/StepThreadService.js';
+import ReviewService from '../services/ReviewService.js';
+import ShareService from '../services/ShareService.js';
+import UsageService from '../services/UsageService.js';
 
 /**
  * LearningController - Class for handling learning path HTTP requests
@@ -20,7 +25,7 @@ class LearningController extends BaseController {
   async getUserLearningPaths(req, res) {
     try {
       // Get userId and validate
-      const userId = this.getRequestField(req, 'userId', ['params']);
+      const userId = this.getUserId(req);
       if (!userId) {
         return this.sendError(res, "userId parameter is required.", 400);
       }
@@ -46,15 +51,17 @@ class LearningController extends BaseController {
     try {
       // Get required parameters
       const progressId = this.getRequestField(req, 'progressId', ['params']);
-      const userId = this.getRequestField(req, 'userId', ['body', 'query']);
+      const userId = this.getUserId(req);
       
       // Validate required fields
       if (!progressId || !userId) {
         return this.sendError(res, "progressId and userId are required.", 400);
       }
       
-      // Fetch the learning path
-      const learningPath = await this.service.getLearningPathById(progressId, userId);
+      // Fetch the learning path and the tutor thread of each step
+      const learningPath = await StepThreadService.attachThreads(
+        await this.service.getLearningPathById(progressId, userId)
+      );
       
       // Return successful response
       return this.sendSuccess(res, { learningPath });
@@ -70,22 +77,44 @@ class LearningController extends BaseController {
 
   /**
    * Create a new learning path
+   * Paths sent by a client are always stored as manual, without prompt template refs.
    */
   async createLearningPath(req, res) {
     try {
-      const pathData = req.body;
+      const userId = this.getUserId(req);
+      const body = req.body || {};
       
       // Validate required fields
-      if (!pathData.userId || !pathData.chatId || !pathData.title) {
+      if (!userId || !body.chatId || !body.title) {
         return this.sendError(res, 
           "Missing required fields: userId, chatId, and title are required.", 
           400
         );
       }
       
+      this.service.validateQuizSettings(body);
+      
+      // The path's chat must be one of the user's own
+      const chat = await ChatService.getChatById(body.chatId, userId);
+      
+      const pathData = {
+        userId,
+        chatId: chat._id,
+        title: body.title,
+        steps: body.steps,
+        description: body.description,
+        difficulty: body.difficulty,
+        estimatedTimeToComplete: body.estimatedTimeToComplete,
+        language: body.language,
+        requireQuizToComplete: body.requireQuizToComplete,
+        quizPassingScore: body.quizPassingScore,
+        stepsSource: 'manual',
+        promptTemplates: [],
+      };
+      
       // Process text to extract steps if text is provided
-      if (pathData.text && !pathData.steps) {
-        pathData.steps = this.service.extractLearningSteps(pathData.text);
+      if (body.text && !pathData.steps) {
+        pathData.steps = this.service.extractLearningSteps(body.text);
         
         if (pathData.steps.length === 0) {
           return this.sendError(res, 
@@ -109,6 +138,14 @@ class LearningController extends BaseController {
       // Return successful response
       return this.sendSuccess(res, { learningPath }, 201);
     } catch (error) {
+      if (error.message === 'Chat not found') {
+        return this.sendError(res, error.message, 404);
+      }
+      
+      if (error.message.startsWith('Invalid')) {
+        return this.sendError(res, error.message, 400);
+      }
+      
       return this.sendError(res, "Failed to create learning path", 500);
     }
   }
@@ -122,7 +159,7 @@ class LearningController extends BaseController {
       const progressId = this.getRequestField(req, 'progressId', ['params']);
       const stepId = this.getRequestField(req, 'stepId', ['body']);
       const completed = this.getRequestField(req, 'completed', ['body']);
-      const userId = this.getRequestField(req, 'userId', ['body']);
+      const userId = this.getUserId(req);
       
       // Validate required fields
       if (!progressId || !stepId || typeof completed !== "boolean" || !userId) {
@@ -137,6 +174,10 @@ class LearningController extends BaseController {
         userId
       );
       
+      if (completed) {
+        this.queueFlashcards(learningPath, stepId);
+      }
+      
       // Return successful response
       return this.sendSuccess(res, {
         learningPath,
@@ -148,6 +189,10 @@ class LearningController extends BaseController {
         return this.sendError(res, error.message, 404);
       }
       
+      if (error.message === 'Step requires a passed quiz') {
+        return this.sendError(res, error.message, 409);
+      }
+      
       return this.sendError(res, "Failed to update learning progress", 500);
     }
   }
@@ -161,7 +206,7 @@ class LearningController extends BaseController {
       const progressId = this.getRequestField(req, 'progressId', ['params']);
       const stepId = this.getRequestField(req, 'stepId', ['body']);
       const notes = this.getRequestField(req, 'notes', ['body']);
-      const userId = this.getRequestField(req, 'userId', ['body']);
+      const userId = this.getUserId(req);
       
       // Validate required fields
       if (!progressId || !stepId || !notes || !userId) {
@@ -191,6 +236,245 @@ class LearningController extends BaseController {
     }
   }
 
+  /**
+   * Explain a learning step in the context of its path
+   * Pass `regenerate: true` to replace a stored explanation
+   */
+  async explainStep(req, res) {
+    try {
+      // Get required parameters
+      const progressId = this.getRequestField(req, 'progressId', ['params']);
+      const stepId = this.getRequestField(req, 'stepId', ['params']);
+      const userId = this.getUserId(req);
+      const regenerate = this.getRequestField(req, 'regenerate', ['body', 'query'], false);
+      const language = this.getRequestField(req, 'language', ['body', 'query']);
+      
+      // Validate required fields
+      if (!progressId || !stepId || !userId) {
+        return this.sendError(res, "progressId, stepId and userId are required.", 400);
+      }
+      
+      const { step, generated } = await this.service.explainStep(progressId, stepId, userId, {
+        regenerate: regenerate === true || regenerate === 'true',
+        language,
+      });
+      
+      // Return successful response
+      return this.sendSuccess(res, {
+        stepId: step.stepId,
+        explanation: step.explanation,
+        previousExplanations: step.previousExplanations,
+        generated,
+      });
+    } catch (error) {
+      // Handle specific error cases
+      if (error.message === 'Learning path not found' || 
+          error.message === 'Step not found in learning path') {
+        return this.sendError(res, error.message, 404);
+      }
+      
+      if (error.message.startsWith('Invalid language')) {
+        return this.sendError(res, error.message, 400);
+      }
+      
+      console.error("Error generating explanation:", error.response?.data || error.message);
+      return res.status(500).json({
+        success: false,
+        error: "Failed to generate explanation",
+        details: error.response?.data || error.message,
+      });
+    }
+  }
+
+  /**
+   * Open the tutor thread of a learning step, creating it on first use
+   * Messages are sent to the returned chatId through the chat endpoints
+   */
+  async openStepThread(req, res) {
+    try {
+      // Get required parameters
+      const progressId = this.getRequestField(req, 'progressId', ['params']);
+      const stepId = this.getRequestField(req, 'stepId', ['params']);
+      const userId = this.getUserId(req);
+      
+      // Validate required fields
+      if (!progressId || !stepId || !userId) {
+        return this.sendError(res, "progressId, stepId and userId are required.", 400);
+      }
+      
+      const { thread, created } = await StepThreadService.openThread(progressId, stepId, userId);
+      
+      // Return successful response
+      return this.sendSuccess(res, {
+        chatId: thread._id,
+        title: thread.title,
+        stepId,
+        messageCount: thread.messages.length,
+        created,
+      }, created ? 201 : 200);
+    } catch (error) {
+      // Handle specific error cases
+      if (error.message === 'Learning path not found' || 
+          error.message === 'Step not found in learning path') {
+        return this.sendError(res, error.message, 404);
+      }
+      
+      return this.sendError(res, "Failed to open step thread", 500);
+    }
+  }
+
+  /**
+   * Generate a quiz for a learning step
+   */
+  async createStepQuiz(req, res) {
+    try {
+      // Get required parameters
+      const progressId = this.getRequestField(req, 'progressId', ['params']);
+      const stepId = this.getRequestField(req, 'stepId', ['params']);
+      const userId = this.getUserId(req);
+      const questionCount = this.getRequestField(req, 'questionCount', ['body', 'query']);
+      
+      // Validate required fields
+      if (!progressId || !stepId || !userId) {
+        return this.sendError(res, "progressId, stepId and userId are required.", 400);
+      }
+      
+      const quiz = await this.service.createStepQuiz(progressId, stepId, userId, { questionCount });
+      
+      // Return successful response
+      return this.sendSuccess(res, { stepId, quiz }, 201);
+    } catch (error) {
+      // Handle specific error cases
+      if (error.message === 'Learning path not found' || 
+          error.message === 'Step not found in learning path') {
+        return this.sendError(res, error.message, 404);
+      }
+      
+      return res.status(500).json({
+        success: false,
+        error: "Failed to generate quiz",
+        details: error.response?.data || error.message,
+      });
+    }
+  }
+
+  /**
+   * Grade answers to a learning step's quiz
+   * Each quiz is graded once; a second submission answers 409.
+   */
+  async submitStepQuiz(req, res) {
+    try {
+      // Get required parameters
+      const progressId = this.getRequestField(req, 'progressId', ['params']);
+      const stepId = this.getRequestField(req, 'stepId', ['params']);
+      const userId = this.getUserId(req);
+      const quizId = this.getRequestField(req, 'quizId', ['body']);
+      const answers = this.getRequestField(req, 'answers', ['body']);
+      
+      // Validate required fields
+      if (!progressId || !stepId || !userId || !Array.isArray(answers)) {
+        return this.sendError(res, "progressId, stepId, userId and an answers array are required.", 400);
+      }
+      
+      const { attempt, learningPath } = await this.service.submitStepQuiz(
+        progressId,
+        stepId,
+        userId,
+        quizId,
+        answers
+      );
+      
+      // Passing a required quiz may have completed the step
+      this.queueFlashcards(learningPath, stepId);
+      
+      // Return successful response
+      return this.sendSuccess(res, {
+        attempt,
+        learningPath,
+      });
+    } catch (error) {
+      // Handle specific error cases
+      if (['Learning path not found', 'Step not found in learning path', 'Quiz not found'].includes(error.message)) {
+        return this.sendError(res, error.message, 404);
+      }
+      
+      if (error.message.startsWith('Invalid quiz')) {
+        return this.sendError(res, error.message, 409);
+      }
+      
+      return this.sendError(res, "Failed to grade quiz", 500);
+    }
+  }
+
+  /**
+   * Update the quiz settings of a learning path
+   */
+  async updateQuizSettings(req, res) {
+    try {
+      // Get required parameters
+      const progressId = this.getRequestField(req, 'progressId', ['params']);
+      const userId = this.getUserId(req);
+      
+      // Validate required fields
+      if (!progressId || !userId) {
+        return this.sendError(res, "progressId and userId are required.", 400);
+      }
+      
+      const learningPath = await this.service.updateQuizSettings(progressId, userId, {
+        requireQuizToComplete: this.getRequestField(req, 'requireQuizToComplete', ['body']),
+        quizPassingScore: this.getRequestField(req, 'quizPassingScore', ['body']),
+      });
+      
+      // Return successful response
+      return this.sendSuccess(res, { learningPath });
+    } catch (error) {
+      // Handle specific error cases
+      if (error.message === 'Learning path not found') {
+        return this.sendError(res, error.message, 404);
+      }
+      
+      if (error.message.startsWith('Invalid')) {
+        return this.sendError(res, error.message, 400);
+      }
+      
+      return this.sendError(res, "Failed to update quiz settings", 500);
+    }
+  }
+
+  /**
+   * Copy a learning path into the caller's own paths
+   * Other users' paths can be forked through a share link: send its token
+   * in the X-Path-Token header.
+   */
+  async forkLearningPath(req, res) {
+    try {
+      // Get required parameters
+      const progressId = this.getRequestField(req, 'progressId', ['params']);
+      const userId = this.getUserId(req);
+      const shareToken = req.get('X-Path-Token');
+      
+      // Validate required fields
+      if (!progressId || !userId) {
+        return this.sendError(res, "progressId and userId are required.", 400);
+      }
+      
+      // The caller's own path, or the path the share link points to
+      const source = shareToken
+        ? (await ShareService.resolveShare(shareToken, progressId)).learningPath
+        : await this.service.getLearningPathById(progressId, userId);
+      
+      const learningPath = await this.service.forkLearningPath(source, userId);
+      
+      return this.sendSuccess(res, { learningPath }, 201);
+    } catch (error) {
+      if (error.message === 'Learning path not found' || error.message === 'Share not found') {
+        return this.sendError(res, "Learning path not found", 404);
+      }
+      
+      return this.sendError(res, "Failed to fork learning path", 500);
+    }
+  }
+
   /**
    * Delete a learning path
    */
@@ -198,7 +482,7 @@ class LearningController extends BaseController {
     try {
       // Get required parameters
       const progressId = this.getRequestField(req, 'progressId', ['params']);
-      const userId = this.getRequestField(req, 'userId', ['body', 'query']);
+      const userId = this.getUserId(req);
       
       // Validate required fields
       if (!progressId) {
@@ -226,6 +510,22 @@ class LearningController extends BaseController {
       return this.sendError(res, "Failed to delete learning path", 500);
     }
   }
+
+  /**
+   * Create review flashcards for a completed step in the background
+   * The routes that complete steps aren't quota-gated, so users over their
+   * quota get no cards here; POST /api/review/:userId/generate makes them later.
+   * @private
+   * @param {Object} learningPath - The saved learning path
+   * @param {String} stepId - The step that may have been completed
+   */
+  queueFlashcards(learningPath, stepId) {
+    UsageService.assertWithinQuota(learningPath.userId)
+      .then(() => ReviewService.generateCardsForStep(learningPath, stepId))
+      .catch(error => {
+        console.error("Error creating flashcards:", error.message);
+      });
+  }
 }
 
 // Export a singleton instance
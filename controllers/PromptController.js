@@ -0,0 +1,88 @@
+import BaseController from './BaseController.js';
+import PromptService from '../services/PromptService.js';
+
+/**
+ * PromptController - Class for handling prompt template admin HTTP requests
+ * Extends BaseController to inherit common functionality
+ */
+class PromptController extends BaseController {
+  /**
+   * Constructor for the prompt controller
+   */
+  constructor() {
+    // Pass the PromptService to the base controller
+    super(PromptService);
+  }
+
+  /**
+   * List every template with its versions
+   */
+  async listTemplates(req, res) {
+    try {
+      return this.sendSuccess(res, { templates: this.service.list() });
+    } catch (error) {
+      return this.sendError(res, "Failed to list prompt templates", 500);
+    }
+  }
+
+  /**
+   * Get the text of a template version (the active one by default)
+   */
+  async getTemplate(req, res) {
+    try {
+      const templateId = this.getRequestField(req, 'templateId', ['params']);
+      const version = this.getRequestField(req, 'version', ['query']);
+      
+      const template = this.service.getTemplate(templateId, version);
+      
+      return this.sendSuccess(res, { template });
+    } catch (error) {
+      if (error.message.startsWith('Prompt template not found')) {
+        return this.sendError(res, error.message, 404);
+      }
+      
+      return this.sendError(res, "Failed to fetch prompt template", 500);
+    }
+  }
+
+  /**
+   * Render a template version with sample variables
+   */
+  async previewTemplate(req, res) {
+    try {
+      const templateId = this.getRequestField(req, 'templateId', ['params']);
+      const version = this.getRequestField(req, 'version', ['body', 'query']);
+      const variables = this.getRequestField(req, 'variables', ['body'], {});
+      
+      if (typeof variables !== 'object' || variables === null || Array.isArray(variables)) {
+        return this.sendError(res, "variables must be an object.", 400);
+      }
+      
+      const preview = this.service.preview(templateId, version, variables);
+      
+      return this.sendSuccess(res, { preview });
+    } catch (error) {
+      if (error.message.startsWith('Prompt template not found')) {
+        return this.sendError(res, error.message, 404);
+      }
+      
+      return this.sendError(res, "Failed to preview prompt template", 500);
+    }
+  }
+
+  /**
+   * Re-read the template files from disk
+   */
+  async reloadTemplates(req, res) {
+    try {
+      const counts = this.service.reload();
+      
+      return this.sendSuccess(res, counts, 200, "Prompt templates reloaded");
+    } catch (error) {
+      return this.sendError(res, `Failed to reload prompt templates: ${error.message}`, 500);
+    }
+  }
+}
+
+// Export a singleton instance
+export default new PromptController();
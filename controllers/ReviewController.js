@@ -0,0 +1,96 @@
+import BaseController from './BaseController.js';
+import ReviewService from '../services/ReviewService.js';
+
+/**
+ * ReviewController - Class for handling flashcard review HTTP requests
+ * Extends BaseController to inherit common functionality
+ */
+class ReviewController extends BaseController {
+  /**
+   * Constructor for the review controller
+   */
+  constructor() {
+    // Pass the ReviewService to the base controller
+    super(ReviewService);
+  }
+
+  /**
+   * Get the flashcards due for review
+   */
+  async getDueCards(req, res) {
+    try {
+      const userId = this.getUserId(req);
+      if (!userId) {
+        return this.sendError(res, "userId parameter is required.", 400);
+      }
+      
+      const result = await this.service.getDueCards(userId, {
+        limit: this.getRequestField(req, 'limit', ['query'], 20),
+      });
+      
+      return this.sendSuccess(res, result);
+    } catch (error) {
+      if (error.message.startsWith('Invalid')) {
+        return this.sendError(res, error.message, 400);
+      }
+      
+      return this.sendError(res, "Failed to fetch due cards", 500);
+    }
+  }
+
+  /**
+   * Grade a review and schedule the card's next one
+   */
+  async gradeCard(req, res) {
+    try {
+      const cardId = this.getRequestField(req, 'cardId', ['params']);
+      const userId = this.getUserId(req);
+      const grade = this.getRequestField(req, 'grade', ['body']);
+      
+      if (!cardId || !userId || grade === undefined) {
+        return this.sendError(res, "cardId, userId and grade are required.", 400);
+      }
+      
+      const card = await this.service.gradeCard(cardId, userId, grade);
+      
+      return this.sendSuccess(res, { card });
+    } catch (error) {
+      if (error.message === 'Card not found') {
+        return this.sendError(res, error.message, 404);
+      }
+      
+      if (error.message.startsWith('Invalid')) {
+        return this.sendError(res, error.message, 400);
+      }
+      
+      return this.sendError(res, "Failed to grade card", 500);
+    }
+  }
+
+  /**
+   * Create cards for completed steps that don't have any yet
+   */
+  async generateCards(req, res) {
+    try {
+      const userId = this.getUserId(req);
+      const progressId = this.getRequestField(req, 'progressId', ['body', 'query']);
+      
+      if (!userId) {
+        return this.sendError(res, "userId parameter is required.", 400);
+      }
+      
+      const result = await this.service.generateCardsForUser(userId, { progressId });
+      
+      return this.sendSuccess(res, result, result.created > 0 ? 201 : 200);
+    } catch (error) {
+      if (error.message === 'Learning path not found') {
+        return this.sendError(res, error.message, 404);
+      }
+      
+      return this.sendError(res, "Failed to create flashcards", 500);
+    }
+  }
+}
+
+// Export a singleton instance
+export default new ReviewController();
@@ -0,0 +1,49 @@
+import BaseController from './BaseController.js';
+import SearchService from '../services/SearchService.js';
+
+/**
+ * SearchController - Class for handling search HTTP requests
+ * Extends BaseController to inherit common functionality
+ */
+class SearchController extends BaseController {
+  /**
+   * Constructor for the search controller
+   */
+  constructor() {
+    // Pass the SearchService to the base controller
+    super(SearchService);
+  }
+
+  /**
+   * Search a user's chats and learning paths
+   */
+  async search(req, res) {
+    try {
+      // Get required parameters
+      const userId = this.getUserId(req);
+      const query = this.getRequestField(req, 'q', ['query']);
+      
+      if (!userId || !query) {
+        return this.sendError(res, "userId and q query parameters are required.", 400);
+      }
+      
+      // Get pagination and filter parameters
+      const result = await this.service.search(userId, String(query), {
+        limit: this.getRequestField(req, 'limit', ['query'], 20),
+        page: this.getRequestField(req, 'page', ['query'], 1),
+        type: this.getRequestField(req, 'type', ['query'], 'all'),
+      });
+      
+      return this.sendSuccess(res, result);
+    } catch (error) {
+      if (error.message.startsWith('Invalid search')) {
+        return this.sendError(res, error.message, 400);
+      }
+      
+      return this.sendError(res, "Failed to search", 500);
+    }
+  }
+}
+
+// Export a singleton instance
+export default new SearchController();
@@ -0,0 +1,127 @@
+import BaseController from './BaseController.js';
+import ShareService from '../services/ShareService.js';
+
+/**
+ * ShareController - Class for handling learning path share link HTTP requests
+ * Extends BaseController to inherit common functionality
+ */
+class ShareController extends BaseController {
+  /**
+   * Constructor for the share controller
+   */
+  constructor() {
+    // Pass the ShareService to the base controller
+    super(ShareService);
+  }
+
+  /**
+   * Create a share link for a learning path
+   * Body: { includeNotes, expiresAt | expiresInDays }; the token is only returned here
+   */
+  async createShare(req, res) {
+    try {
+      const progressId = this.getRequestField(req, 'progressId', ['params']);
+      const userId = this.getUserId(req);
+      
+      if (!progressId || !userId) {
+        return this.sendError(res, "progressId and userId are required.", 400);
+      }
+      
+      const share = await this.service.createShare(progressId, userId, {
+        includeNotes: req.body?.includeNotes,
+        expiresAt: req.body?.expiresAt,
+        expiresInDays: req.body?.expiresInDays,
+      });
+      
+      return this.sendSuccess(res, { share }, 201);
+    } catch (error) {
+      return this.sendShareError(res, error, "Failed to create share link");
+    }
+  }
+
+  /**
+   * List the active share links of a learning path
+   */
+  async listShares(req, res) {
+    try {
+      const progressId = this.getRequestField(req, 'progressId', ['params']);
+      const userId = this.getUserId(req);
+      
+      if (!progressId || !userId) {
+        return this.sendError(res, "progressId and userId are required.", 400);
+      }
+      
+      const shares = await this.service.listShares(progressId, userId);
+      
+      return this.sendSuccess(res, { shares });
+    } catch (error) {
+      return this.sendShareError(res, error, "Failed to fetch share links");
+    }
+  }
+
+  /**
+   * Revoke a share link
+   */
+  async revokeShare(req, res) {
+    try {
+      const progressId = this.getRequestField(req, 'progressId', ['params']);
+      const shareId = this.getRequestField(req, 'shareId', ['params']);
+      const userId = this.getUserId(req);
+      
+      if (!progressId || !shareId || !userId) {
+        return this.sendError(res, "progressId, shareId and userId are required.", 400);
+      }
+      
+      await this.service.revokeShare(progressId, shareId, userId);
+      
+      return this.sendSuccess(res, { message: "Share link revoked", revokedId: shareId });
+    } catch (error) {
+      return this.sendShareError(res, error, "Failed to revoke share link");
+    }
+  }
+
+  /**
+   * Get the read-only view of a shared learning path
+   * The token comes from the URL or the X-Path-Token header; no sign-in needed.
+   */
+  async getSharedPath(req, res) {
+    try {
+      const token = this.getRequestField(req, 'token', ['params']) || req.get('X-Path-Token');
+      if (!token) {
+        return this.sendError(res, "A share token is required.", 400);
+      }
+      
+      const learningPath = await this.service.getSharedPath(token);
+      
+      // Progress changes and links can be revoked, so never serve a stored copy
+      res.set('Cache-Control', 'no-store');
+      
+      return this.sendSuccess(res, { learningPath });
+    } catch (error) {
+      if (error.message === 'Share not found') {
+        return this.sendError(res, "This link does not exist or has expired", 404);
+      }
+      
+      return this.sendError(res, "Failed to fetch shared learning path", 500);
+    }
+  }
+
+  /**
+   * Map share errors to status codes
+   * @private
+   */
+  sendShareError(res, error, message) {
+    if (error.message === 'Learning path not found' || error.message === 'Share not found') {
+      return this.sendError(res, error.message, 404);
+    }
+
+    if (error.message.startsWith('Invalid')) {
+      return this.sendError(res, error.message, 400);
+    }
+
+    return this.sendError(res, message, 500);
+  }
+}
+
+// Export a singleton instance
+export default new ShareController();
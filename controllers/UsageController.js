@@ -0,0 +1,43 @@
+import BaseController from './BaseController.js';
+import UsageService from '../services/UsageService.js';
+
+/**
+ * UsageController - Class for handling token usage HTTP requests
+ * Extends BaseController to inherit common functionality
+ */
+class UsageController extends BaseController {
+  /**
+   * Constructor for the usage controller
+   */
+  constructor() {
+    // Pass the UsageService to the base controller
+    super(UsageService);
+  }
+
+  /**
+   * Get a user's token usage per day (?days=30) and quota status
+   */
+  async getUsage(req, res) {
+    try {
+      const userId = this.getUserId(req);
+      if (!userId) {
+        return this.sendError(res, "userId parameter is required.", 400);
+      }
+      
+      const usage = await this.service.getUsage(userId, {
+        days: this.getRequestField(req, 'days', ['query'], 30),
+      });
+      
+      return this.sendSuccess(res, { userId, ...usage });
+    } catch (error) {
+      if (error.message.startsWith('Invalid')) {
+        return this.sendError(res, error.message, 400);
+      }
+      
+      return this.sendError(res, "Failed to fetch usage", 500);
+    }
+  }
+}
+
+// Export a singleton instance
+export default new UsageController();
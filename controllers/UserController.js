@@ -0,0 +1,211 @@
+import BaseController from './BaseController.js';
+import UserPreferenceService from '../services/UserPreferenceService.js';
+import UserProfileService from '../services/UserProfileService.js';
+import GuestMergeService from '../services/GuestMergeService.js';
+import AuthService from '../services/AuthService.js';
+
+/**
+ * UserController - Class for handling user settings HTTP requests
+ * Extends BaseController to inherit common functionality
+ */
+class UserController extends BaseController {
+  /**
+   * Constructor for the user controller
+   */
+  constructor() {
+    // Pass the UserPreferenceService to the base controller
+    super(UserPreferenceService);
+  }
+
+  /**
+   * Get a user's preferences
+   */
+  async getPreferences(req, res) {
+    try {
+      const userId = this.getUserId(req);
+      if (!userId) {
+        return this.sendError(res, "userId parameter is required.", 400);
+      }
+      
+      const preferences = await this.service.getPreferences(userId);
+      
+      return this.sendSuccess(res, { preferences });
+    } catch (error) {
+      return this.sendError(res, "Failed to fetch preferences", 500);
+    }
+  }
+
+  /**
+   * Update a user's preferences
+   * Send `language: null` to go back to the default language
+   */
+  async updatePreferences(req, res) {
+    try {
+      const userId = this.getUserId(req);
+      if (!userId) {
+        return this.sendError(res, "userId parameter is required.", 400);
+      }
+      
+      if (!('language' in (req.body || {}))) {
+        return this.sendError(res, "Nothing to update: send language.", 400);
+      }
+      
+      const preferences = await this.service.updatePreferences(userId, {
+        language: req.body.language,
+      });
+      
+      return this.sendSuccess(res, { preferences });
+    } catch (error) {
+      if (error.message.startsWith('Invalid')) {
+        return this.sendError(res, error.message, 400);
+      }
+      
+      return this.sendError(res, "Failed to update preferences", 500);
+    }
+  }
+
+  /**
+   * Get a user's learner profile
+   */
+  async getProfile(req, res) {
+    try {
+      const userId = this.getUserId(req);
+      if (!userId) {
+        return this.sendError(res, "userId parameter is required.", 400);
+      }
+      
+      const profile = await UserProfileService.getProfile(userId);
+      
+      return this.sendSuccess(res, { profile });
+    } catch (error) {
+      if (error.message === 'Profile not found') {
+        return this.sendError(res, error.message, 404);
+      }
+      
+      return this.sendError(res, "Failed to fetch profile", 500);
+    }
+  }
+
+  /**
+   * Create or replace a user's learner profile
+   */
+  async replaceProfile(req, res) {
+    try {
+      const userId = this.getUserId(req);
+      if (!userId) {
+        return this.sendError(res, "userId parameter is required.", 400);
+      }
+      
+      const { profile, created } = await UserProfileService.replaceProfile(userId, req.body);
+      
+      return this.sendSuccess(res, { profile }, created ? 201 : 200);
+    } catch (error) {
+      return this.sendProfileError(res, error, "Failed to save profile");
+    }
+  }
+
+  /**
+   * Change some fields of a user's learner profile
+   * Send a field as null to clear it
+   */
+  async updateProfile(req, res) {
+    try {
+      const userId = this.getUserId(req);
+      if (!userId) {
+        return this.sendError(res, "userId parameter is required.", 400);
+      }
+      
+      const profile = await UserProfileService.updateProfile(userId, req.body);
+      
+      return this.sendSuccess(res, { profile });
+    } catch (error) {
+      return this.sendProfileError(res, error, "Failed to update profile");
+    }
+  }
+
+  /**
+   * Delete a user's learner profile
+   */
+  async deleteProfile(req, res) {
+    try {
+      const userId = this.getUserId(req);
+      if (!userId) {
+        return this.sendError(res, "userId parameter is required.", 400);
+      }
+      
+      await UserProfileService.deleteProfile(userId);
+      
+      return this.sendSuccess(res, { message: "Profile deleted successfully" });
+    } catch (error) {
+      if (error.message === 'Profile not found') {
+        return this.sendError(res, error.message, 404);
+      }
+      
+      return this.sendError(res, "Failed to delete profile", 500);
+    }
+  }
+
+  /**
+   * Move a guest session's chats and learning paths to the signed-in account
+   * The guest proves the session with its token (guestToken); with auth
+   * disabled the session ID is sent as sessionId. Merging twice is harmless.
+   */
+  async mergeGuest(req, res) {
+    try {
+      const userId = this.getUserId(req);
+      if (!userId) {
+        return this.sendError(res, "userId is required.", 400);
+      }
+      
+      const guestId = this.getGuestId(req);
+      if (!guestId) {
+        return this.sendError(res, AuthService.isEnabled()
+          ? "guestToken is required."
+          : "sessionId is required.", 400);
+      }
+      
+      const merge = await GuestMergeService.mergeGuest(guestId, userId);
+      
+      return this.sendSuccess(res, { merge });
+    } catch (error) {
+      if (error.message.startsWith('Invalid')) {
+        return this.sendError(res, error.message, 400);
+      }
+      
+      return this.sendError(res, "Failed to merge guest session", 500);
+    }
+  }
+
+  /**
+   * Get the guest session being merged: the user of the guest's token, or
+   * the sessionId sent by the client when auth is disabled
+   * @private
+   */
+  getGuestId(req) {
+    if (!AuthService.isEnabled()) {
+      return req.body?.sessionId ? String(req.body.sessionId) : null;
+    }
+    
+    const token = req.body?.guestToken;
+    return token ? AuthService.verifyToken(String(token)).id : null;
+  }
+
+  /**
+   * Map profile errors to status codes
+   * @private
+   */
+  sendProfileError(res, error, message) {
+    if (error.message === 'Profile not found') {
+      return this.sendError(res, error.message, 404);
+    }
+    
+    if (error.message.startsWith('Invalid') || error.name === 'ValidationError') {
+      return this.sendError(res, error.message, 400);
+    }
+    
+    return this.sendError(res, message, 500);
+  }
+}
+
+// Export a singleton instance
+export default new UserController();
@@ -0,0 +1,46 @@
+import AuthService from '../services/AuthService.js';
+
+/**
+ * Middleware to identify the user making a request
+ * Verifies the bearer token (Authorization or X-Access-Token header) and sets
+ * req.user = { id, claims }. Requests without a token continue with
+ * req.user = null; use requireAuth on routes that need a user.
+ * A userId the client still sends (X-User-ID header, body or query) must be
+ * the token's user, so stale clients fail loudly instead of acting for
+ * someone else.
+ */
+const authenticate = (req, res, next) => {
+  const claimedUserId = req.get('X-User-ID') || req.body?.userId || req.query?.userId;
+
+  // Development mode: trust the userId the client sends
+  if (!AuthService.isEnabled()) {
+    req.user = claimedUserId ? { id: String(claimedUserId) } : null;
+    return next();
+  }
+
+  const token = AuthService.getToken(req);
+  if (!token) {
+    req.user = null;
+    return next();
+  }
+
+  try {
+    req.user = AuthService.verifyToken(token);
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  if (claimedUserId && String(claimedUserId) !== req.user.id) {
+    return res.status(403).json({
+      success: false,
+      error: 'userId does not match the authenticated user'
+    });
+  }
+
+  return next();
+};
+
+export default authenticate;
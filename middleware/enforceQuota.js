@@ -0,0 +1,31 @@
+import UsageService from '../services/UsageService.js';
+
+/**
+ * Middleware to reject LLM-backed requests from users over their token quota
+ * Runs after requireAuth, so every model call is charged to a user. A failed
+ * quota lookup lets the request through rather than blocking every user.
+ */
+const enforceQuota = async (req, res, next) => {
+  const userId = req.user?.id;
+
+  try {
+    await UsageService.assertWithinQuota(userId);
+  } catch (error) {
+    if (error.statusCode === 429) {
+      const retryAfter = Math.max(1, Math.ceil((error.quota.resetsAt.getTime() - Date.now()) / 1000));
+      res.set('Retry-After', String(retryAfter));
+
+      return res.status(429).json({
+        success: false,
+        error: error.message,
+        quota: error.quota
+      });
+    }
+
+    console.error('Error checking usage quota:', error.message);
+  }
+
+  return next();
+};
+
+export default enforceQuota;
@@ -0,0 +1,45 @@
+import RateLimitService from '../services/RateLimitService.js';
+
+/**
+ * Create middleware that limits requests per client in a bucket
+ * Sends RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset and
+ * RateLimit-Policy headers, plus Retry-After when the limit is reached.
+ * A failing counter store lets requests through rather than blocking everyone.
+ * @param {String} bucket - Bucket name from services/ratelimit/config.js
+ * @returns {Function} Express middleware
+ */
+const rateLimit = (bucket) => async (req, res, next) => {
+  let result;
+
+  try {
+    result = await RateLimitService.hit(bucket, RateLimitService.getClientKey(req));
+  } catch (error) {
+    console.error('Error checking rate limit:', error.message);
+    return next();
+  }
+
+  if (!result) return next();
+
+  const resetSeconds = Math.max(0, Math.ceil((result.resetAt.getTime() - Date.now()) / 1000));
+  const windowSeconds = Math.round(result.windowMs / 1000);
+
+  res.set({
+    'RateLimit-Limit': String(result.limit),
+    'RateLimit-Remaining': String(result.remaining),
+    'RateLimit-Reset': String(resetSeconds),
+    'RateLimit-Policy': `${result.limit};w=${windowSeconds}`,
+  });
+
+  if (result.limited) {
+    res.set('Retry-After', String(resetSeconds));
+
+    return res.status(429).json({
+      success: false,
+      error: `Too many requests: the limit is ${result.limit} per ${windowSeconds} seconds, try again in ${resetSeconds} seconds`
+    });
+  }
+
+  return next();
+};
+
+export default rateLimit;
@@ -0,0 +1,32 @@
+import crypto from 'crypto';
+
+/**
+ * Middleware to restrict admin routes to callers with the admin key
+ * The key is sent in the X-Admin-Key header and compared with ADMIN_API_KEY;
+ * admin routes are disabled while ADMIN_API_KEY is unset.
+ */
+const requireAdmin = (req, res, next) => {
+  const adminKey = process.env.ADMIN_API_KEY;
+
+  if (!adminKey) {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin routes are disabled: ADMIN_API_KEY is not set'
+    });
+  }
+
+  const provided = Buffer.from(String(req.get('X-Admin-Key') || ''));
+  const expected = Buffer.from(adminKey);
+
+  // Constant-time comparison so the key can't be guessed byte by byte
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid admin key'
+    });
+  }
+
+  return next();
+};
+
+export default requireAdmin;
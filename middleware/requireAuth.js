@@ -0,0 +1,19 @@
+import AuthService from '../services/AuthService.js';
+
+/**
+ * Middleware to reject requests without an authenticated user
+ * Runs after authenticate. While AUTH_DISABLED=true requests pass through and
+ * controllers check for a userId themselves.
+ */
+const requireAuth = (req, res, next) => {
+  if (AuthService.isEnabled() && !req.user) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required: send a bearer token in the Authorization header'
+    });
+  }
+
+  return next();
+};
+
+export default requireAuth;
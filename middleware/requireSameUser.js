@@ -0,0 +1,25 @@
+import AuthService from '../services/AuthService.js';
+
+/**
+ * Route parameter handler for :userId
+ * Only lets users reach their own /:userId routes. Register it with
+ * router.param('userId', requireSameUser).
+ */
+const requireSameUser = (req, res, next, userId) => {
+  // Development mode: the route parameter names the user
+  if (!AuthService.isEnabled()) {
+    req.user = { id: String(userId) };
+    return next();
+  }
+
+  if (!req.user || req.user.id !== userId) {
+    return res.status(403).json({
+      success: false,
+      error: "Not allowed to access another user's data"
+    });
+  }
+
+  return next();
+};
+
+export default requireSameUser;
@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+/**
+ * Base class for all database models
+ */
+class BaseModel {
+  /**
+   * Constructor for the base model
+   * @param {string} modelName - The name of the model
+   * @param {mongoose.Schema} schema - The mongoose schema
+   */
+  constructor(modelName, schema) {
+    if (new.target === BaseModel) {
+      throw new Error('BaseModel is an abstract class and cannot be instantiated directly.');
+    }
+    
+    this.modelName = modelName;
+    this.schema = schema;
+    this.model = mongoose.model(this.modelName, this.schema);
+  }
+  
+  /**
+   * Get the mongoose model
+   * @returns {mongoose.Model} The mongoose model
+   */
+  getModel() {
+    return this.model;
+  }
+  
+  /**
+   * Get the mongoose schema
+   * @returns {mongoose.Schema} The mongoose schema
+   */
+  getSchema() {
+    return this.schema;
+  }
+}
+
+export default BaseModel;
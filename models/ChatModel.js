@@ -0,0 +1,162 @@
+import mongoose from 'mongoose';
+import BaseModel from './BaseModel.js';
+
+/**
+ * ChatModel - Class representing the chat schema and model
+ * Extends BaseModel to inherit common functionality
+ */
+class ChatModel extends BaseModel {
+  /**
+   * Constructor for the chat model
+   */
+  constructor() {
+    // Create schemas first
+    const schemas = ChatModel.createSchemas();
+    
+    // Pass the name and schema to the base model constructor
+    super('Chat', schemas.chatSchema);
+    
+    // Store the message schema for potential use
+    this.messageSchema = schemas.messageSchema;
+  }
+  
+  /**
+   * Create the MongoDB schemas for messages and chats
+   * @static
+   * @returns {Object} Object containing both schemas
+   */
+  static createSchemas() {
+    // Reference to the prompt template version that produced stored text
+    const promptTemplateRefSchema = new mongoose.Schema({
+      templateId: String,
+      version: Number,
+    }, { _id: false });
+    
+    // Create the message schema
+    const messageSchema = new mongoose.Schema({
+      role: {
+        type: String,
+        enum: ["user", "assistant"],
+        required: true,
+      },
+      content: {
+        type: String,
+        required: true,
+      },
+      timestamp: {
+        type: Date,
+        default: Date.now,
+      },
+      contextId: String,
+      // Previous message on the same branch (null for the first message)
+      parentId: mongoose.Schema.Types.ObjectId,
+      // Follow-up questions offered with an assistant reply
+      suggestions: [{
+        text: {
+          type: String,
+          required: true,
+        },
+      }],
+      // Suggestion the user picked to send this message
+      suggestionId: mongoose.Schema.Types.ObjectId,
+      // Prompt templates that produced an assistant reply
+      promptTemplates: [promptTemplateRefSchema],
+    });
+    
+    // Create the chat schema
+    const chatSchema = new mongoose.Schema({
+      userId: {
+        type: String,
+        required: true,
+        index: true,
+      },
+      title: {
+        type: String,
+        default: "New Chat",
+      },
+      // Where the title came from; generated titles never replace a user's own
+      titleSource: {
+        type: String,
+        enum: ["default", "generated", "user"],
+        default: "default",
+      },
+      // Prompt templates behind a generated title
+      titlePromptTemplates: [promptTemplateRefSchema],
+      // Every message of every branch; parentId links form the conversation tree
+      messages: [messageSchema],
+      // Last message of the branch currently shown to the user
+      activeLeafId: mongoose.Schema.Types.ObjectId,
+      createdAt: {
+        type: Date,
+        default: Date.now,
+      },
+      updatedAt: {
+        type: Date,
+        default: Date.now,
+      },
+      pinned: {
+        type: Boolean,
+        default: false,
+      },
+      archived: {
+        type: Boolean,
+        default: false,
+      },
+      archivedAt: Date,
+      // Language the assistant replies in (BCP 47 code)
+      language: String,
+      // Running summary of the first lastMessageIndex messages of the active branch
+      contextSummary: String,
+      // Prompt templates behind contextSummary
+      summaryPromptTemplates: [promptTemplateRefSchema],
+      // Number of leading active-branch messages already folded into contextSummary
+      lastMessageIndex: {
+        type: Number,
+        default: 0,
+      },
+      // Set when the chat is a tutor thread about one step of a learning path
+      stepThread: {
+        type: new mongoose.Schema({
+          learningPathId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "LearningProgress",
+            required: true,
+          },
+          stepId: {
+            type: String,
+            required: true,
+          },
+          // System prompt describing the step and its path, sent with every exchange
+          context: String,
+        }, { _id: false }),
+        default: undefined,
+      },
+    });
+    
+    // Sidebar listing: pinned chats first, then most recently active
+    chatSchema.index({ userId: 1, archived: 1, pinned: -1, updatedAt: -1 });
+    
+    // One tutor thread per learning path step
+    chatSchema.index(
+      { 'stepThread.learningPathId': 1, 'stepThread.stepId': 1 },
+      { unique: true, partialFilterExpression: { stepThread: { $exists: true } } }
+    );
+    
+    // Full-text search over titles and message bodies
+    // language_override points at an unused field so a chat-level `language` can't break indexing
+    chatSchema.index(
+      { title: 'text', 'messages.content': 'text' },
+      {
+        name: 'chat_text_search',
+        weights: { title: 5, 'messages.content': 1 },
+        language_override: 'textSearchLanguage',
+      }
+    );
+    
+    return { messageSchema, chatSchema };
+  }
+}
+
+// Create and export an instance of the model
+const chatModel = new ChatModel();
+export default chatModel.getModel();
@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+import BaseModel from './BaseModel.js';
+
+/**
+ * ExplanationCacheModel - Class representing cached step explanations
+ * Extends BaseModel to inherit common functionality
+ */
+class ExplanationCacheModel extends BaseModel {
+  /**
+   * Constructor for the explanation cache model
+   */
+  constructor() {
+    const schema = ExplanationCacheModel.createSchema();
+    
+    // Pass the name and schema to the base model constructor
+    super('ExplanationCache', schema);
+  }
+  
+  /**
+   * Create the MongoDB schema for cached explanations
+   * @static
+   * @returns {mongoose.Schema} The explanation cache schema
+   */
+  static createSchema() {
+    const explanationCacheSchema = new mongoose.Schema({
+      // Hash of normalized title, step type, language, prompt template version and model
+      key: {
+        type: String,
+        required: true,
+        unique: true,
+      },
+      stepTitle: {
+        type: String,
+        required: true,
+      },
+      stepType: String,
+      language: String,
+      promptTemplateId: String,
+      promptVersion: {
+        type: Number,
+        required: true,
+      },
+      provider: String,
+      model: String,
+      explanation: {
+        type: String,
+        required: true,
+      },
+      // Number of requests served from this entry
+      hits: {
+        type: Number,
+        default: 0,
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now,
+      },
+      expiresAt: {
+        type: Date,
+        required: true,
+      },
+    });
+    
+    // MongoDB removes entries once expiresAt has passed
+    explanationCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    
+    return explanationCacheSchema;
+  }
+}
+
+// Create and export an instance of the model
+const explanationCacheModel = new ExplanationCacheModel();
+export default explanationCacheModel.getModel();
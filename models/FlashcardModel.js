@@ -0,0 +1,98 @@
+import mongoose from 'mongoose';
+import BaseModel from './BaseModel.js';
+
+/**
+ * FlashcardModel - Class representing spaced-repetition flashcards
+ * Extends BaseModel to inherit common functionality
+ */
+class FlashcardModel extends BaseModel {
+  /**
+   * Constructor for the flashcard model
+   */
+  constructor() {
+    const schema = FlashcardModel.createSchema();
+    
+    // Pass the name and schema to the base model constructor
+    super('Flashcard', schema);
+  }
+  
+  /**
+   * Create the MongoDB schema for flashcards
+   * @static
+   * @returns {mongoose.Schema} The flashcard schema
+   */
+  static createSchema() {
+    const flashcardSchema = new mongoose.Schema({
+      userId: {
+        type: String,
+        required: true,
+      },
+      // The learning path step the card was made from
+      learningPathId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'LearningProgress',
+        required: true,
+      },
+      stepId: {
+        type: String,
+        required: true,
+      },
+      front: {
+        type: String,
+        required: true,
+      },
+      back: {
+        type: String,
+        required: true,
+      },
+      // Prompt templates behind model-written cards
+      promptTemplates: [{
+        _id: false,
+        templateId: String,
+        version: Number,
+      }],
+      // SM-2 scheduling state
+      easeFactor: {
+        type: Number,
+        default: 2.5,
+      },
+      // Days until the next review
+      interval: {
+        type: Number,
+        default: 0,
+      },
+      // Successful reviews in a row
+      repetitions: {
+        type: Number,
+        default: 0,
+      },
+      // Reviews graded below 3
+      lapses: {
+        type: Number,
+        default: 0,
+      },
+      dueAt: {
+        type: Date,
+        default: Date.now,
+      },
+      lastReviewedAt: Date,
+      lastGrade: Number,
+      createdAt: {
+        type: Date,
+        default: Date.now,
+      },
+    });
+    
+    // Review queue: a user's cards by due date
+    flashcardSchema.index({ userId: 1, dueAt: 1 });
+    
+    // Cards of a step; unique per question so a repeated generation run can't add the same card twice
+    flashcardSchema.index({ learningPathId: 1, stepId: 1, front: 1 }, { unique: true });
+    
+    return flashcardSchema;
+  }
+}
+
+// Create and export an instance of the model
+const flashcardModel = new FlashcardModel();
+export default flashcardModel.getModel();
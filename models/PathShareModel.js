@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+import BaseModel from './BaseModel.js';
+
+/**
+ * PathShareModel - Class representing a read-only share link for a learning path
+ * Only a hash of the link's token is stored; the token itself is shown once,
+ * when the link is created.
+ * Extends BaseModel to inherit common functionality
+ */
+class PathShareModel extends BaseModel {
+  /**
+   * Constructor for the path share model
+   */
+  constructor() {
+    const schema = PathShareModel.createSchema();
+
+    // Pass the name and schema to the base model constructor
+    super('PathShare', schema);
+  }
+
+  /**
+   * Create the MongoDB schema for path shares
+   * @static
+   * @returns {mongoose.Schema} The path share schema
+   */
+  static createSchema() {
+    const pathShareSchema = new mongoose.Schema({
+      learningPathId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'LearningProgress',
+        required: true,
+        index: true,
+      },
+      // SHA-256 of the token, hex encoded
+      tokenHash: {
+        type: String,
+        required: true,
+        unique: true,
+      },
+      // First characters of the token, so owners can tell their links apart
+      tokenPrefix: String,
+      // Whether the shared view shows the owner's step notes
+      includeNotes: {
+        type: Boolean,
+        default: false,
+      },
+      // No expiry when unset
+      expiresAt: Date,
+      viewCount: {
+        type: Number,
+        default: 0,
+      },
+      lastViewedAt: Date,
+      createdAt: {
+        type: Date,
+        default: Date.now,
+      },
+    });
+
+    // MongoDB removes links some time after they expire; lookups check expiresAt themselves
+    pathShareSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+    return pathShareSchema;
+  }
+}
+
+// Create and export an instance of the model
+const pathShareModel = new PathShareModel();
+export default pathShareModel.getModel();
@@ -1,40 +1,5 @@
 import mongoose from 'mongoose';
-
-/**
- * Base class for all database models
- */
-class BaseModel {
-  /**
-   * Constructor for the base model
-   * @param {string} modelName - The name of the model
-   * @param {mongoose.Schema} schema - The mongoose schema
-   */
-  constructor(modelName, schema) {
-    if (new.target === BaseModel) {
-      throw new Error('BaseModel is an abstract class and cannot be instantiated directly.');
-    }
-    
-    this.modelName = modelName;
-    this.schema = schema;
-    this.model = mongoose.model(this.modelName, this.schema);
-  }
-  
-  /**
-   * Get the mongoose model
-   * @returns {mongoose.Model} The mongoose model
-   */
-  getModel() {
-    return this.model;
-  }
-  
-  /**
-   * Get the mongoose schema
-   * @returns {mongoose.Schema} The mongoose schema
-   */
-  getSchema() {
-    return this.schema;
-  }
-}
+import BaseModel from './BaseModel.js';
 
 /**
  * ProgressModel - Class representing the learning progress schema and model
@@ -61,6 +26,95 @@ class ProgressModel extends BaseModel {
    * @returns {Object} Object containing both schemas
    */
   static createSchemas() {
+    // Reference to the prompt template version that produced stored text
+    const promptTemplateRefSchema = new mongoose.Schema({
+      templateId: String,
+      version: Number,
+    }, { _id: false });
+    
+    // Create the step explanation schema
+    const stepExplanationSchema = new mongoose.Schema({
+      content: {
+        type: String,
+        required: true,
+      },
+      model: String,
+      language: String,
+      promptTemplates: [promptTemplateRefSchema],
+      createdAt: {
+        type: Date,
+        default: Date.now,
+      },
+    });
+    
+    // Create the quiz question schema
+    const quizQuestionSchema = new mongoose.Schema({
+      type: {
+        type: String,
+        enum: ['multiple_choice', 'short_answer'],
+        required: true,
+      },
+      question: {
+        type: String,
+        required: true,
+      },
+      // Choices for multiple choice questions
+      options: [String],
+      // Index of the correct option for multiple choice questions
+      answerIndex: Number,
+      // Model answer for short answer questions
+      expectedAnswer: String,
+      explanation: String,
+    });
+    
+    // Answers are only revealed with a graded attempt
+    quizQuestionSchema.set('toJSON', {
+      transform: (doc, ret) => {
+        delete ret.answerIndex;
+        delete ret.expectedAnswer;
+        delete ret.explanation;
+        return ret;
+      },
+    });
+    
+    // Create the step quiz schema
+    const stepQuizSchema = new mongoose.Schema({
+      questions: [quizQuestionSchema],
+      model: String,
+      promptTemplates: [promptTemplateRefSchema],
+      createdAt: {
+        type: Date,
+        default: Date.now,
+      },
+      // Set when answers to this quiz are submitted; each quiz is graded once
+      gradedAt: Date,
+    });
+    
+    // Create the quiz attempt schema
+    const quizAttemptSchema = new mongoose.Schema({
+      // The quiz that was answered; a regenerated quiz gets a new id
+      quizId: mongoose.Schema.Types.ObjectId,
+      answers: [{
+        _id: false,
+        questionId: mongoose.Schema.Types.ObjectId,
+        // Chosen option for multiple choice questions
+        selectedIndex: Number,
+        // Text answer for short answer questions
+        answer: String,
+        correct: Boolean,
+        feedback: String,
+      }],
+      // Fraction of correct answers (0-1)
+      score: Number,
+      passed: Boolean,
+      // Prompt templates behind model-graded short answers
+      promptTemplates: [promptTemplateRefSchema],
+      submittedAt: {
+        type: Date,
+        default: Date.now,
+      },
+    });
+    
     // Create the learning step schema
     const learningStepSchema = new mongoose.Schema({
       stepId: {
@@ -81,7 +135,32 @@ class ProgressModel extends BaseModel {
         type: String,
         enum: ['prerequisite', 'core', 'practice', 'advanced'],
         default: 'core'
-      }
+      },
+      description: String,
+      estimatedHours: Number,
+      resources: [{
+        _id: false,
+        title: String,
+        url: String,
+        type: {
+          type: String,
+          enum: ['documentation', 'tutorial', 'course', 'book', 'video', 'article', 'project', 'other'],
+          default: 'other'
+        }
+      }],
+      // stepIds of earlier steps this step builds on
+      prerequisites: [String],
+      // Latest explanation generated with the path as context
+      explanation: stepExplanationSchema,
+      // Earlier explanations replaced by regeneration, oldest first
+      previousExplanations: [stepExplanationSchema],
+      // Latest generated quiz; answers are never sent to clients before grading
+      quiz: stepQuizSchema,
+      quizAttempts: [quizAttemptSchema],
+      // First time a quiz for this step was passed
+      quizPassedAt: Date,
+      // Set when a run starts generating this step's flashcards, so only one run does
+      cardsGeneratedAt: Date
     });
     
     // Create the learning progress schema
@@ -91,10 +170,24 @@ class ProgressModel extends BaseModel {
         required: true,
         index: true,
       },
+      // Chat the path was created from; forks have none, the chat stays with the original's owner
       chatId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: "Chat",
-        required: true,
+        required: function () {
+          return !this.forkedFrom;
+        },
+      },
+      // Path this one was copied from; follow it for earlier generations
+      forkedFrom: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "LearningProgress",
+        index: true,
+      },
+      // Times this path has been forked, shown to its owner only
+      forkCount: {
+        type: Number,
+        default: 0,
       },
       title: {
         type: String,
@@ -126,14 +219,48 @@ class ProgressModel extends BaseModel {
         type: Boolean,
         default: false,
       },
+      // Set when the chat that created this path is deleted but the path is kept
+      chatDeletedAt: Date,
       estimatedTimeToComplete: String,
+      // How the steps were produced: schema-validated model output, regex extraction or sent by a client
+      stepsSource: {
+        type: String,
+        enum: ['structured', 'extracted', 'manual'],
+        default: 'manual'
+      },
+      // Language of the path's text and of generated explanations, quizzes and cards
+      language: String,
+      // Prompt templates behind the chat answer and the structured steps
+      promptTemplates: [promptTemplateRefSchema],
       difficulty: {
         type: String,
         enum: ['beginner', 'intermediate', 'advanced'],
         default: 'intermediate'
+      },
+      // When set, a step can only be completed after one of its quizzes is passed
+      requireQuizToComplete: {
+        type: Boolean,
+        default: false
+      },
+      // Fraction of correct answers needed to pass a quiz
+      quizPassingScore: {
+        type: Number,
+        min: 0,
+        max: 1,
+        default: 0.7
       }
     });
     
+    // Full-text search over path titles, descriptions, step titles and notes
+    learningProgressSchema.index(
+      { title: 'text', description: 'text', 'steps.title': 'text', 'steps.notes': 'text' },
+      {
+        name: 'learning_progress_text_search',
+        weights: { title: 5, 'steps.title': 3, 'steps.notes': 2, description: 1 },
+        language_override: 'textSearchLanguage',
+      }
+    );
+    
     return { learningStepSchema, learningProgressSchema };
   }
   
@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+import BaseModel from './BaseModel.js';
+
+/**
+ * RateLimitCounterModel - Class representing a rate limit window shared
+ * between server instances
+ * Extends BaseModel to inherit common functionality
+ */
+class RateLimitCounterModel extends BaseModel {
+  /**
+   * Constructor for the rate limit counter model
+   */
+  constructor() {
+    const schema = RateLimitCounterModel.createSchema();
+    
+    // Pass the name and schema to the base model constructor
+    super('RateLimitCounter', schema);
+  }
+  
+  /**
+   * Create the MongoDB schema for rate limit counters
+   * @static
+   * @returns {mongoose.Schema} The rate limit counter schema
+   */
+  static createSchema() {
+    const rateLimitCounterSchema = new mongoose.Schema({
+      // Bucket and client, e.g. 'llm:user:42'
+      key: {
+        type: String,
+        required: true,
+        unique: true,
+      },
+      count: {
+        type: Number,
+        default: 0,
+      },
+      resetAt: {
+        type: Date,
+        required: true,
+      },
+    });
+    
+    // MongoDB removes counters once their window has ended
+    rateLimitCounterSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+    
+    return rateLimitCounterSchema;
+  }
+}
+
+// Create and export an instance of the model
+const rateLimitCounterModel = new RateLimitCounterModel();
+export default rateLimitCounterModel.getModel();
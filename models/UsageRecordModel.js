@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+import BaseModel from './BaseModel.js';
+
+/**
+ * UsageRecordModel - Class representing the tokens used by one LLM call
+ * Extends BaseModel to inherit common functionality
+ */
+class UsageRecordModel extends BaseModel {
+  /**
+   * Constructor for the usage record model
+   */
+  constructor() {
+    const schema = UsageRecordModel.createSchema();
+    
+    // Pass the name and schema to the base model constructor
+    super('UsageRecord', schema);
+  }
+  
+  /**
+   * Create the MongoDB schema for usage records
+   * @static
+   * @returns {mongoose.Schema} The usage record schema
+   */
+  static createSchema() {
+    const usageRecordSchema = new mongoose.Schema({
+      // Empty for calls made without a user, e.g. anonymous step explanations
+      userId: String,
+      // LLM endpoint name, e.g. 'chat', 'learningPath' or 'explainStep'
+      endpoint: {
+        type: String,
+        required: true,
+      },
+      provider: String,
+      model: String,
+      promptTokens: {
+        type: Number,
+        default: 0,
+      },
+      completionTokens: {
+        type: Number,
+        default: 0,
+      },
+      totalTokens: {
+        type: Number,
+        default: 0,
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now,
+      },
+    });
+    
+    // Per-user totals for a time range
+    usageRecordSchema.index({ userId: 1, createdAt: -1 });
+    
+    return usageRecordSchema;
+  }
+}
+
+// Create and export an instance of the model
+const usageRecordModel = new UsageRecordModel();
+export default usageRecordModel.getModel();
@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+import BaseModel from './BaseModel.js';
+
+/**
+ * UserPreferenceModel - Class representing per-user preferences
+ * Extends BaseModel to inherit common functionality
+ */
+class UserPreferenceModel extends BaseModel {
+  /**
+   * Constructor for the user preference model
+   */
+  constructor() {
+    const schema = UserPreferenceModel.createSchema();
+    
+    // Pass the name and schema to the base model constructor
+    super('UserPreference', schema);
+  }
+  
+  /**
+   * Create the MongoDB schema for user preferences
+   * @static
+   * @returns {mongoose.Schema} The user preference schema
+   */
+  static createSchema() {
+    const userPreferenceSchema = new mongoose.Schema({
+      userId: {
+        type: String,
+        required: true,
+        unique: true,
+      },
+      // BCP 47 language code for model replies, e.g. "es" or "pt-BR"
+      language: String,
+      createdAt: {
+        type: Date,
+        default: Date.now,
+      },
+      updatedAt: {
+        type: Date,
+        default: Date.now,
+      },
+    });
+    
+    return userPreferenceSchema;
+  }
+}
+
+// Create and export an instance of the model
+const userPreferenceModel = new UserPreferenceModel();
+export default userPreferenceModel.getModel();
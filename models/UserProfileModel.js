@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+import BaseModel from './BaseModel.js';
+
+/**
+ * UserProfileModel - Class representing what we know about a learner
+ * Used to personalize prompts and learning paths
+ * Extends BaseModel to inherit common functionality
+ */
+class UserProfileModel extends BaseModel {
+  /**
+   * Constructor for the user profile model
+   */
+  constructor() {
+    const schema = UserProfileModel.createSchema();
+    
+    // Pass the name and schema to the base model constructor
+    super('UserProfile', schema);
+  }
+  
+  /**
+   * Create the MongoDB schema for user profiles
+   * @static
+   * @returns {mongoose.Schema} The user profile schema
+   */
+  static createSchema() {
+    const userProfileSchema = new mongoose.Schema({
+      userId: {
+        type: String,
+        required: true,
+        unique: true,
+      },
+      experienceLevel: {
+        type: String,
+        enum: ['beginner', 'intermediate', 'advanced'],
+      },
+      knownTechnologies: [String],
+      goals: [String],
+      // Hours a week the learner can spend studying
+      weeklyHours: {
+        type: Number,
+        min: 0,
+        max: 168,
+      },
+      preferredResourceTypes: [{
+        type: String,
+        enum: ['documentation', 'tutorial', 'course', 'book', 'video', 'article', 'project', 'other'],
+      }],
+      createdAt: {
+        type: Date,
+        default: Date.now,
+      },
+      updatedAt: {
+        type: Date,
+        default: Date.now,
+      },
+    });
+    
+    return userProfileSchema;
+  }
+}
+
+// Create and export an instance of the model
+const userProfileModel = new UserProfileModel();
+export default userProfileModel.getModel();
@@ -0,0 +1,22 @@
+import express from 'express';
+import requireAdmin from '../middleware/requireAdmin.js';
+import PromptController from '../controllers/PromptController.js';
+
+const router = express.Router();
+
+// Every admin route needs the X-Admin-Key header
+router.use(requireAdmin);
+
+// List prompt templates and their versions
+router.get('/prompts', (req, res) => PromptController.listTemplates(req, res));
+
+// Re-read prompt templates from disk
+router.post('/prompts/reload', (req, res) => PromptController.reloadTemplates(req, res));
+
+// Get a prompt template version (?version=N, active version by default)
+router.get('/prompts/:templateId', (req, res) => PromptController.getTemplate(req, res));
+
+// Render a prompt template with sample variables
+router.post('/prompts/:templateId/preview', (req, res) => PromptController.previewTemplate(req, res));
+
+export default router;
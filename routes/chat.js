@@ -0,0 +1,57 @@
+import express from 'express';
+import ChatController from '../controllers/ChatController.js';
+import ExportController from '../controllers/ExportController.js';
+import ImportController from '../controllers/ImportController.js';
+import enforceQuota from '../middleware/enforceQuota.js';
+import rateLimit from '../middleware/rateLimit.js';
+import requireAuth from '../middleware/requireAuth.js';
+import requireSameUser from '../middleware/requireSameUser.js';
+
+const router = express.Router();
+
+// Every route needs a signed-in user, who may only reach their own /:userId routes
+// Scoped to the chat paths: this router is mounted at /api, and a bare
+// router.use would answer unknown /api routes with 401 instead of 404
+router.use(['/chat', '/chat-history'], requireAuth);
+router.param('userId', requireSameUser);
+
+// Requests that call the model
+const llmRateLimit = rateLimit('llm');
+
+// Send a message (add ?stream=1 or Accept: text/event-stream for Server-Sent Events)
+router.post('/chat', llmRateLimit, enforceQuota, (req, res) => ChatController.sendChat(req, res));
+
+// Import a chat from a JSON export or an oldChats array
+router.post('/chat/import', (req, res) => ImportController.importChat(req, res));
+
+// Regenerate the last assistant reply as a new branch
+router.post('/chat/:chatId/regenerate', llmRateLimit, enforceQuota, (req, res) => ChatController.regenerateReply(req, res));
+
+// Edit an earlier user message as a new branch
+router.post('/chat/:chatId/messages/:messageId/edit', llmRateLimit, enforceQuota, (req, res) => ChatController.editMessage(req, res));
+
+// Switch the active branch
+router.post('/chat/:chatId/branch', (req, res) => ChatController.switchBranch(req, res));
+
+// Get chat history for a user (filters: archived, pinned)
+router.get('/chat-history/:userId', (req, res) => ChatController.getChatHistory(req, res));
+
+// Export every chat of a user as a zip archive (?format=md|html|json)
+router.get('/chat-history/:userId/export', (req, res) => ExportController.exportUserChats(req, res));
+
+// Export a chat (?format=md|html|json)
+router.get('/chat/:chatId/export', (req, res) => ExportController.exportChat(req, res));
+
+// Get a specific chat (active branch only)
+router.get('/chat/:chatId', (req, res) => ChatController.getChatById(req, res));
+
+// Rename, pin or archive a chat
+router.patch('/chat/:chatId', (req, res) => ChatController.updateChat(req, res));
+
+// Generate a new title for a chat
+router.post('/chat/:chatId/title', llmRateLimit, enforceQuota, (req, res) => ChatController.retitleChat(req, res));
+
+// Delete a chat
+router.delete('/chat/:chatId', (req, res) => ChatController.deleteChat(req, res));
+
+export default router;
@@ -1,4 +1,6 @@
 import express from 'express';
+import LLMService from '../services/LLMService.js';
+
 const router = express.Router();
 
 /**
@@ -16,7 +18,8 @@ router.get('/', (req, res) => {
       connected: !!process.env.MONGODB_URI
     },
     api: {
-      gemini: !!process.env.GEMINI_API_KEY
+      gemini: !!process.env.GEMINI_API_KEY,
+      llm: LLMService.describe()
     }
   });
 });
@@ -0,0 +1,15 @@
+import express from 'express';
+import ExplanationController from '../controllers/ExplanationController.js';
+import enforceQuota from '../middleware/enforceQuota.js';
+import rateLimit from '../middleware/rateLimit.js';
+import requireAuth from '../middleware/requireAuth.js';
+
+const router = express.Router();
+
+// Requests that call the model
+const llmRateLimit = rateLimit('llm');
+
+// Explain a learning step (cached unless refresh=true); signed in so the call counts against a quota
+router.post('/explain-step', requireAuth, llmRateLimit, enforceQuota, (req, res) => ExplanationController.explainStep(req, res));
+
+export default router;
@@ -1,8 +1,20 @@
 import express from 'express';
 import LearningController from '../controllers/LearningController.js';
+import ShareController from '../controllers/ShareController.js';
+import enforceQuota from '../middleware/enforceQuota.js';
+import rateLimit from '../middleware/rateLimit.js';
+import requireAuth from '../middleware/requireAuth.js';
+import requireSameUser from '../middleware/requireSameUser.js';
 
 const router = express.Router();
 
+// Every route needs a signed-in user, who may only reach their own /:userId routes
+router.use(requireAuth);
+router.param('userId', requireSameUser);
+
+// Requests that call the model
+const llmRateLimit = rateLimit('llm');
+
 // Get all learning paths for a user
 router.get('/:userId', (req, res) => LearningController.getUserLearningPaths(req, res));
 
@@ -18,6 +30,33 @@ router.patch('/:progressId/step', (req, res) => LearningController.updateStepCom
 // Add notes to a learning step
 router.patch('/:progressId/notes', (req, res) => LearningController.addStepNotes(req, res));
 
+// Explain a learning step with its path as context
+router.post('/:progressId/steps/:stepId/explain', llmRateLimit, enforceQuota, (req, res) => LearningController.explainStep(req, res));
+
+// Open the tutor thread of a learning step
+router.post('/:progressId/steps/:stepId/thread', (req, res) => LearningController.openStepThread(req, res));
+
+// Generate a quiz for a learning step
+router.post('/:progressId/steps/:stepId/quiz', llmRateLimit, enforceQuota, (req, res) => LearningController.createStepQuiz(req, res));
+
+// Grade answers to a learning step's quiz
+router.post('/:progressId/steps/:stepId/quiz/submit', llmRateLimit, enforceQuota, (req, res) => LearningController.submitStepQuiz(req, res));
+
+// Update quiz settings (requireQuizToComplete, quizPassingScore)
+router.patch('/:progressId/settings', (req, res) => LearningController.updateQuizSettings(req, res));
+
+// Copy a learning path (own, or shared through X-Path-Token) into the caller's paths
+router.post('/:progressId/fork', (req, res) => LearningController.forkLearningPath(req, res));
+
+// Create a read-only share link for a learning path
+router.post('/:progressId/shares', (req, res) => ShareController.createShare(req, res));
+
+// List the active share links of a learning path
+router.get('/:progressId/shares', (req, res) => ShareController.listShares(req, res));
+
+// Revoke a share link
+router.delete('/:progressId/shares/:shareId', (req, res) => ShareController.revokeShare(req, res));
+
 // Delete a learning path
 router.delete('/:progressId', (req, res) => LearningController.deleteLearningPath(req, res));
 
@@ -0,0 +1,26 @@
+import express from 'express';
+import ReviewController from '../controllers/ReviewController.js';
+import enforceQuota from '../middleware/enforceQuota.js';
+import rateLimit from '../middleware/rateLimit.js';
+import requireAuth from '../middleware/requireAuth.js';
+import requireSameUser from '../middleware/requireSameUser.js';
+
+const router = express.Router();
+
+// Every route needs a signed-in user, who may only reach their own /:userId routes
+router.use(requireAuth);
+router.param('userId', requireSameUser);
+
+// Requests that call the model
+const llmRateLimit = rateLimit('llm');
+
+// Get a user's flashcards that are due for review
+router.get('/:userId/due', (req, res) => ReviewController.getDueCards(req, res));
+
+// Create flashcards for completed steps that have none yet
+router.post('/:userId/generate', llmRateLimit, enforceQuota, (req, res) => ReviewController.generateCards(req, res));
+
+// Grade a review (0-5 or again / hard / good / easy)
+router.post('/:cardId/grade', (req, res) => ReviewController.gradeCard(req, res));
+
+export default router;
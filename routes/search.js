@@ -0,0 +1,13 @@
+import express from 'express';
+import SearchController from '../controllers/SearchController.js';
+import requireAuth from '../middleware/requireAuth.js';
+
+const router = express.Router();
+
+// Search needs a signed-in user
+router.use(requireAuth);
+
+// Search a user's chats and learning paths
+router.get('/', (req, res) => SearchController.search(req, res));
+
+export default router;
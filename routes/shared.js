@@ -0,0 +1,14 @@
+import express from 'express';
+import ShareController from '../controllers/ShareController.js';
+
+const router = express.Router();
+
+// Public on purpose: the share token is the only credential
+
+// View a shared learning path, token in the X-Path-Token header
+router.get('/', (req, res) => ShareController.getSharedPath(req, res));
+
+// View a shared learning path, token in the link
+router.get('/:token', (req, res) => ShareController.getSharedPath(req, res));
+
+export default router;
@@ -0,0 +1,15 @@
+import express from 'express';
+import UsageController from '../controllers/UsageController.js';
+import requireAuth from '../middleware/requireAuth.js';
+import requireSameUser from '../middleware/requireSameUser.js';
+
+const router = express.Router();
+
+// Every route needs a signed-in user, who may only reach their own /:userId routes
+router.use(requireAuth);
+router.param('userId', requireSameUser);
+
+// Get a user's token usage per day and quota status (?days=30)
+router.get('/:userId', (req, res) => UsageController.getUsage(req, res));
+
+export default router;
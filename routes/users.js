@@ -0,0 +1,33 @@
+import express from 'express';
+import UserController from '../controllers/UserController.js';
+import requireAuth from '../middleware/requireAuth.js';
+import requireSameUser from '../middleware/requireSameUser.js';
+
+const router = express.Router();
+
+// Every route needs a signed-in user, who may only reach their own /:userId routes
+router.use(requireAuth);
+router.param('userId', requireSameUser);
+
+// Move a guest session's chats and learning paths to the signed-in account
+router.post('/merge', (req, res) => UserController.mergeGuest(req, res));
+
+// Get a user's preferences (reply language)
+router.get('/:userId/preferences', (req, res) => UserController.getPreferences(req, res));
+
+// Update a user's preferences
+router.patch('/:userId/preferences', (req, res) => UserController.updatePreferences(req, res));
+
+// Get a user's learner profile
+router.get('/:userId/profile', (req, res) => UserController.getProfile(req, res));
+
+// Create or replace a user's learner profile
+router.put('/:userId/profile', (req, res) => UserController.replaceProfile(req, res));
+
+// Change some fields of a user's learner profile
+router.patch('/:userId/profile', (req, res) => UserController.updateProfile(req, res));
+
+// Delete a user's learner profile
+router.delete('/:userId/profile', (req, res) => UserController.deleteProfile(req, res));
+
+export default router;
@@ -0,0 +1,143 @@
+import fs from 'fs';
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+// Algorithms accepted for each kind of key
+const SECRET_ALGORITHMS = ['HS256', 'HS384', 'HS512'];
+const PUBLIC_KEY_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+/**
+ * AuthService - Class for verifying bearer tokens
+ * Tokens are JWTs signed with AUTH_JWT_SECRET (HMAC) or with a private key
+ * whose public half is in the JWKS file at AUTH_JWKS_FILE. The user ID is
+ * read from the `sub` claim (or AUTH_USER_ID_CLAIM).
+ *
+ * With AUTH_DISABLED=true no token is needed and the user is taken from the
+ * request as before; that mode is meant for local development only.
+ */
+class AuthService {
+  /**
+   * Constructor for the auth service
+   */
+  constructor() {
+    // Keys from the JWKS file by kid, loaded on first use
+    this.jwks = null;
+  }
+
+  /**
+   * Check whether requests must carry a token
+   * @returns {Boolean} False only when AUTH_DISABLED=true
+   */
+  isEnabled() {
+    return process.env.AUTH_DISABLED !== 'true';
+  }
+
+  /**
+   * Check whether a way to verify tokens is configured
+   * @returns {Boolean} True when a secret or a JWKS file is set
+   */
+  isConfigured() {
+    return Boolean(process.env.AUTH_JWT_SECRET || process.env.AUTH_JWKS_FILE);
+  }
+
+  /**
+   * Read the bearer token of a request
+   * Accepts `Authorization: Bearer <token>` or the X-Access-Token header.
+   * @param {Object} req - Express request object
+   * @returns {String|null} The token, or null when none was sent
+   */
+  getToken(req) {
+    const authorization = req.get('Authorization') || '';
+    const match = authorization.match(/^Bearer\s+(\S+)$/i);
+    if (match) return match[1];
+
+    return req.get('X-Access-Token') || null;
+  }
+
+  /**
+   * Verify a token and get the user it was issued for
+   * @param {String} token - Signed JWT
+   * @returns {Object} { id, claims }
+   */
+  verifyToken(token) {
+    if (!this.isConfigured()) {
+      throw new Error('Authentication is not configured: set AUTH_JWT_SECRET or AUTH_JWKS_FILE');
+    }
+
+    let claims;
+    try {
+      const { key, algorithms } = this.getVerificationKey(token);
+      claims = jwt.verify(token, key, {
+        algorithms,
+        issuer: process.env.AUTH_JWT_ISSUER || undefined,
+        audience: process.env.AUTH_JWT_AUDIENCE || undefined,
+      });
+    } catch (error) {
+      throw new Error(`Invalid token: ${error.message}`);
+    }
+
+    const id = claims[process.env.AUTH_USER_ID_CLAIM || 'sub'];
+    if (typeof id !== 'string' || !id) {
+      throw new Error('Invalid token: no user ID claim');
+    }
+
+    return { id, claims };
+  }
+
+  /**
+   * Pick the key that verifies a token
+   * @private
+   * @param {String} token - Signed JWT
+   * @returns {Object} { key, algorithms }
+   */
+  getVerificationKey(token) {
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded) {
+      throw new Error('malformed token');
+    }
+
+    if (SECRET_ALGORITHMS.includes(decoded.header.alg)) {
+      if (!process.env.AUTH_JWT_SECRET) {
+        throw new Error(`${decoded.header.alg} tokens are not accepted`);
+      }
+      return { key: process.env.AUTH_JWT_SECRET, algorithms: SECRET_ALGORITHMS };
+    }
+
+    if (!process.env.AUTH_JWKS_FILE) {
+      throw new Error(`${decoded.header.alg} tokens are not accepted`);
+    }
+
+    const keys = this.getJwks();
+    const key = decoded.header.kid ? keys.get(decoded.header.kid) : keys.size === 1 ? [...keys.values()][0] : null;
+    if (!key) {
+      throw new Error('unknown signing key');
+    }
+
+    return { key, algorithms: PUBLIC_KEY_ALGORITHMS };
+  }
+
+  /**
+   * Load the public keys of the JWKS file
+   * @private
+   * @returns {Map} kid -> KeyObject (keys without a kid use their index)
+   */
+  getJwks() {
+    if (this.jwks) return this.jwks;
+
+    const { keys } = JSON.parse(fs.readFileSync(process.env.AUTH_JWKS_FILE, 'utf8'));
+    if (!Array.isArray(keys) || keys.length === 0) {
+      throw new Error('the JWKS file has no keys');
+    }
+
+    this.jwks = new Map(
+      keys
+        .filter(jwk => !jwk.use || jwk.use === 'sig')
+        .map((jwk, index) => [jwk.kid || String(index), crypto.createPublicKey({ key: jwk, format: 'jwk' })])
+    );
+
+    return this.jwks;
+  }
+}
+
+// Export a singleton instance
+export default new AuthService();
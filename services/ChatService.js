@@ -0,0 +1,1143 @@
+import BaseService from './BaseService.js';
+import Chat from '../models/ChatModel.js';
+import LLMService from './LLMService.js';
+import LearningService from './LearningService.js';
+import SuggestionService from './SuggestionService.js';
+import PromptService from './PromptService.js';
+import LanguageService from './LanguageService.js';
+import UserPreferenceService from './UserPreferenceService.js';
+import UserProfileService from './UserProfileService.js';
+import { estimateTokenCount, MESSAGE_TOKEN_OVERHEAD } from './llm/tokens.js';
+
+// Context window limits
+const MAX_CONTEXT_MESSAGES = 10;
+const MAX_CONTEXT_TOKENS = 4000;
+
+// Fields returned by the chat history listing
+const CHAT_LIST_FIELDS = "title titleSource updatedAt createdAt pinned archived";
+const MAX_CHAT_PAGE_SIZE = 100;
+
+// What to do with learning paths when their chat is deleted
+const LEARNING_PATH_DELETE_MODES = ['keep', 'delete'];
+
+// Title generation settings
+const TITLE_CONTEXT_MESSAGES = 2;
+const TITLE_INPUT_CHARS = 1000;
+const MAX_TITLE_LENGTH = 60;
+
+// Summarization settings
+const RECENT_MESSAGES_TO_KEEP = 6;
+const MAX_SUMMARY_WORDS = 250;
+const MAX_SUMMARY_INPUT_CHARS = 2000;
+
+/**
+ * ChatService - Class for handling chat context and conversation memory
+ * Extends BaseService to inherit common functionality
+ */
+class ChatService extends BaseService {
+  /**
+   * Constructor for the chat service
+   */
+  constructor() {
+    // Pass the Chat model to the base service
+    super(Chat);
+  }
+
+  /**
+   * Get a page of chats for a user, pinned chats first
+   * @param {string} userId - The user ID
+   * @param {Object} options - { limit, page, archived, pinned }
+   *   archived: false (default) hides archived chats, true shows only archived, 'all' shows both
+   *   pinned: optional boolean filter
+   * @returns {Promise} Chats and pagination info
+   */
+  async getUserChats(userId, { limit = 20, page = 1, archived = false, pinned } = {}) {
+    try {
+      // Step tutor threads are listed with their learning path instead
+      const filter = { userId, stepThread: { $exists: false } };
+      
+      if (archived !== 'all') {
+        // Chats created before archiving existed have no archived field
+        filter.archived = archived ? true : { $ne: true };
+      }
+      
+      if (pinned !== undefined) {
+        filter.pinned = pinned ? true : { $ne: true };
+      }
+      
+      // A limit of 0 would mean "no limit" to MongoDB
+      const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), MAX_CHAT_PAGE_SIZE);
+      const pageNumber = Math.max(parseInt(page) || 1, 1);
+      
+      const chats = await this.model.find(filter)
+        .sort({ pinned: -1, updatedAt: -1 })
+        .select(CHAT_LIST_FIELDS)
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize);
+      
+      const total = await this.model.countDocuments(filter);
+      
+      return {
+        chats,
+        pagination: {
+          total,
+          page: pageNumber,
+          limit: pageSize,
+          pages: Math.ceil(total / pageSize),
+        },
+      };
+    } catch (error) {
+      console.error('Error in getUserChats:', error);
+      throw new Error('Failed to fetch chat history');
+    }
+  }
+
+  /**
+   * Get a chat owned by a user
+   * @param {string} chatId - The chat ID
+   * @param {string} userId - The user ID (for authorization)
+   * @returns {Promise} The chat document
+   */
+  async getChatById(chatId, userId) {
+    try {
+      const chat = await this.model.findOne({ _id: chatId, userId });
+      
+      if (!chat) {
+        throw new Error('Chat not found');
+      }
+      
+      return chat;
+    } catch (error) {
+      if (error.name === 'CastError') {
+        throw new Error('Chat not found');
+      }
+      
+      console.error('Error in getChatById:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rename, pin or archive a chat
+   * @param {string} chatId - The chat ID
+   * @param {string} userId - The user ID (for authorization)
+   * @param {Object} updates - { title, pinned, archived }
+   * @returns {Promise} The updated chat (without messages)
+   */
+  async updateChat(chatId, userId, updates) {
+    try {
+      const chat = await this.getChatById(chatId, userId);
+      
+      this.applyChatUpdates(chat, updates);
+      
+      // Sidebar changes don't count as activity, so updatedAt is left alone
+      await chat.save();
+      
+      return this.model.findById(chat._id).select(CHAT_LIST_FIELDS);
+    } catch (error) {
+      console.error('Error in updateChat:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Validate and apply chat updates
+   * @private
+   * @param {Object} chat - Chat document to update
+   * @param {Object} updates - { title, pinned, archived }
+   */
+  applyChatUpdates(chat, updates) {
+    const { title, pinned, archived } = updates;
+    
+    if (title === undefined && pinned === undefined && archived === undefined) {
+      throw new Error('Nothing to update');
+    }
+    
+    if (title !== undefined) {
+      if (typeof title !== 'string' || !title.trim()) {
+        throw new Error('Invalid chat update: title must be a non-empty string');
+      }
+      chat.title = title.trim().substring(0, 200);
+      chat.titleSource = "user";
+    }
+    
+    if (pinned !== undefined) {
+      if (typeof pinned !== 'boolean') {
+        throw new Error('Invalid chat update: pinned must be a boolean');
+      }
+      chat.pinned = pinned;
+    }
+    
+    if (archived !== undefined) {
+      if (typeof archived !== 'boolean') {
+        throw new Error('Invalid chat update: archived must be a boolean');
+      }
+      if (archived && !chat.archived) {
+        chat.archivedAt = new Date();
+      } else if (!archived) {
+        chat.archivedAt = undefined;
+      }
+      chat.archived = archived;
+    }
+  }
+
+  /**
+   * Delete a chat and decide what happens to learning paths created from it
+   * @param {string} chatId - The chat ID
+   * @param {string} userId - The user ID (for authorization)
+   * @param {string} learningPaths - 'keep' (default) detaches the paths, 'delete' removes them
+   * @returns {Promise} Deletion summary
+   */
+  async deleteChat(chatId, userId, learningPaths = 'keep') {
+    try {
+      if (!LEARNING_PATH_DELETE_MODES.includes(learningPaths)) {
+        throw new Error(`Invalid learningPaths option: use ${LEARNING_PATH_DELETE_MODES.join(' or ')}`);
+      }
+      
+      const chat = await this.getChatById(chatId, userId);
+      
+      const pathResult = learningPaths === 'delete'
+        ? await LearningService.deleteLearningPathsForChat(chat._id, userId)
+        : await LearningService.detachLearningPathsFromChat(chat._id, userId);
+      
+      await this.delete(chat._id);
+      
+      return {
+        deletedId: chatId,
+        learningPaths: {
+          action: learningPaths === 'delete' ? 'deleted' : 'kept',
+          count: pathResult,
+        },
+      };
+    } catch (error) {
+      console.error('Error in deleteChat:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load the chat and build the model context for a new user message
+   * An unknown chatId starts a new chat; oldChats supply context for chats
+   * that only exist in the browser.
+   * A suggestionId picks one of the follow-up questions offered in the chat
+   * as the new message.
+   * @param {Object} request - { userId, chatId, newChat, oldChats, generateLearningPath, suggestionId, language }
+   * @returns {Promise<Object>} { chat, newChat, userQuery, suggestionId, language, profile, contextMessages, promptTemplates }
+   */
+  async prepareExchange({ userId, chatId, newChat, oldChats, generateLearningPath, suggestionId, language }) {
+    let messages = [];
+    let summary = null;
+    let chat = null;
+
+    if (suggestionId) {
+      chat = await this.getChatById(chatId, userId);
+      newChat = this.findSuggestion(chat, suggestionId).text;
+    }
+
+    // If chatId is provided, fetch existing chat
+    if (chatId) {
+      try {
+        chat = chat || await this.model.findOne({ _id: chatId, userId });
+        if (chat) {
+          messages = this.getUnsummarizedMessages(chat);
+          summary = chat.contextSummary || null;
+          console.log(`Found existing chat with ${chat.messages.length} messages`);
+        }
+      } catch (error) {
+        console.error("Error fetching chat:", error);
+      }
+    }
+    // If no chatId or chat not found, use oldChats from request
+    else if (Array.isArray(oldChats) && oldChats.length > 0) {
+      messages = this.parseOldChats(oldChats);
+    }
+
+    // If requesting a learning path, modify the user query
+    const learningPathPrompt = generateLearningPath
+      ? PromptService.render('learning-path-request', { topic: newChat })
+      : null;
+    const userQuery = learningPathPrompt ? learningPathPrompt.text : newChat;
+
+    // A language sent with the request wins over the chat's and the user's
+    const replyLanguage = await UserPreferenceService.resolveLanguage(userId, language, chat?.language);
+    const profile = await UserProfileService.findProfile(userId);
+    const profilePrompt = UserProfileService.getInstruction(profile);
+
+    return {
+      chat,
+      newChat,
+      userQuery,
+      suggestionId: suggestionId || undefined,
+      language: replyLanguage,
+      profile,
+      contextMessages: this.buildChatContext(messages, userQuery, summary, {
+        threadContext: chat?.stepThread?.context,
+        language: replyLanguage,
+        learnerProfile: profilePrompt?.text,
+      }),
+      promptTemplates: this.getPromptTemplates(learningPathPrompt, replyLanguage, profilePrompt),
+    };
+  }
+
+  /**
+   * Turn the `{ role, parts }` history a browser sends as oldChats into
+   * provider-neutral messages
+   * @private
+   * @param {Array} oldChats - Browser-side conversation
+   * @returns {Array} [{ role, content }] with text content
+   */
+  parseOldChats(oldChats) {
+    return oldChats.map((item, index) => {
+      if (!item || typeof item !== 'object' || typeof item.role !== 'string') {
+        throw new Error(`Invalid oldChats: entry ${index} must be an object with role and parts`);
+      }
+
+      const parts = item.parts ?? item.content;
+      if (typeof parts !== 'string' && !Array.isArray(parts)) {
+        throw new Error(`Invalid oldChats: entry ${index} must have parts as a string or an array`);
+      }
+
+      return {
+        role: item.role === "user" ? "user" : "assistant",
+        content: this.partsToText(parts),
+      };
+    });
+  }
+
+  /**
+   * Convert Gemini-style parts ([{ text }] or [string]) to plain text
+   * @param {string|Array} parts - Message parts
+   * @returns {string} The concatenated text
+   */
+  partsToText(parts) {
+    if (typeof parts === 'string') return parts;
+    if (!Array.isArray(parts)) return '';
+
+    return parts
+      .map(part => (typeof part === 'string' ? part : part?.text || ''))
+      .join('');
+  }
+
+  /**
+   * Find a follow-up suggestion offered anywhere in a chat
+   * @private
+   * @param {Object} chat - Chat document
+   * @param {string} suggestionId - Suggestion subdocument id
+   * @returns {Object} The suggestion
+   */
+  findSuggestion(chat, suggestionId) {
+    for (const message of chat.messages) {
+      const suggestion = (message.suggestions || []).find(s => String(s._id) === String(suggestionId));
+      if (suggestion) return suggestion;
+    }
+
+    throw new Error('Suggestion not found');
+  }
+
+  /**
+   * Split a model reply into the answer body and follow-up suggestions
+   * @param {string} text - Full model reply
+   * @returns {Object} { answer, suggestions }
+   */
+  parseReply(text) {
+    return SuggestionService.parse(text);
+  }
+
+  /**
+   * Wrap a token callback so follow-up suggestions are not streamed as answer text
+   * @param {Function} onToken - Receives answer text
+   * @returns {Object} { push(text), flush() }
+   */
+  createReplyStreamFilter(onToken) {
+    return SuggestionService.createStreamFilter(onToken);
+  }
+
+  /**
+   * Format the stored suggestions of an assistant message for clients
+   * @param {Object} message - Assistant message subdocument (may be null)
+   * @param {Array} fallback - Suggestion texts to return when nothing was saved
+   * @returns {Array} [{ id, text }]
+   */
+  formatSuggestions(message, fallback = []) {
+    if (!message) {
+      return fallback.map(text => ({ id: null, text }));
+    }
+
+    return (message.suggestions || []).map(suggestion => ({
+      id: suggestion._id,
+      text: suggestion.text,
+    }));
+  }
+
+  /**
+   * Generate the assistant reply for a context
+   * @param {Array} contextMessages - Provider-neutral context
+   * @param {Object} options - { onToken, signal, userId } - pass onToken to stream
+   * @returns {Promise<Object>} LLM completion ({ text, model, provider, usage })
+   */
+  async generateReply(contextMessages, { onToken, signal, userId } = {}) {
+    if (onToken) {
+      return LLMService.stream("chat", contextMessages, onToken, { signal, userId });
+    }
+
+    return LLMService.generate("chat", contextMessages, { userId });
+  }
+
+  /**
+   * Persist a user/assistant exchange and create a learning path when requested
+   * @param {Object} exchange - { chat, userId, newChat, userQuery, suggestionId, answer, suggestions, generateLearningPath, promptTemplates, language, profile }
+   * @returns {Promise<Object>} The saved chat, the assistant message and the created learning path (if any)
+   */
+  async saveChatExchange({ chat, userId, newChat, userQuery, suggestionId, answer, suggestions = [], generateLearningPath, promptTemplates = [], language, profile = null }) {
+    let savedChat = null;
+    let message = null;
+    let learningPath = null;
+
+    try {
+      const newMessages = [
+        { role: "user", content: userQuery, suggestionId, timestamp: new Date() },
+        this.createAssistantMessage(answer, suggestions, promptTemplates),
+      ];
+
+      if (chat) {
+        // Continue the active branch of the existing chat
+        [, message] = this.appendToBranch(chat, this.getActiveLeafId(chat), newMessages);
+        chat.language = language;
+        chat.updatedAt = new Date();
+        savedChat = await chat.save();
+
+        // Fold older messages into the running summary in the background
+        this.updateContextSummary(savedChat);
+      } else {
+        // Create new chat
+        const newChatDoc = new this.model({
+          userId,
+          title: this.createDefaultTitle(newChat),
+          language,
+          createdAt: new Date(),
+          updatedAt: new Date(),
+        });
+        [, message] = this.appendToBranch(newChatDoc, null, newMessages);
+        savedChat = await newChatDoc.save();
+      }
+
+      // Create learning path record if this is a learning path
+      if (generateLearningPath) {
+        learningPath = await LearningService.createLearningPathFromAnswer({
+          userId,
+          chatId: savedChat._id,
+          topic: newChat,
+          answer,
+          promptTemplates,
+          language,
+          profile,
+        });
+      }
+    } catch (dbError) {
+      console.error("Database error saving chat:", dbError);
+      // Don't fail the request if DB save fails, but log the error
+      if (!savedChat) message = null;
+    }
+
+    return { savedChat, message, learningPath };
+  }
+
+  /**
+   * Build an assistant message with its follow-up suggestions
+   * @private
+   * @param {string} answer - Answer body
+   * @param {Array} suggestions - Suggestion texts
+   * @param {Array} promptTemplates - Templates that produced the answer ({ templateId, version })
+   * @returns {Object} Plain message object
+   */
+  createAssistantMessage(answer, suggestions = [], promptTemplates = []) {
+    return {
+      role: "assistant",
+      content: answer,
+      suggestions: suggestions.map(text => ({ text })),
+      promptTemplates,
+      timestamp: new Date(),
+    };
+  }
+
+  /**
+   * Render the chat system prompt
+   * @returns {Object} { text, id, version }
+   */
+  getSystemPrompt() {
+    return PromptService.render('chat-system', {
+      followUpInstructions: SuggestionService.getFormatInstructions(),
+    });
+  }
+
+  /**
+   * List the templates behind a reply: the system prompt, the learner profile,
+   * the language instruction and any rendered user prompt
+   * @param {Object} userPrompt - Optional rendered prompt sent as the user message
+   * @param {string} language - Reply language
+   * @param {Object} profilePrompt - Optional rendered learner profile
+   * @returns {Array} [{ templateId, version }]
+   */
+  getPromptTemplates(userPrompt = null, language = null, profilePrompt = null) {
+    const prompts = [
+      this.getSystemPrompt(),
+      profilePrompt,
+      LanguageService.getInstruction(language),
+      userPrompt,
+    ].filter(Boolean);
+    return prompts.map(prompt => PromptService.toRef(prompt));
+  }
+
+  /**
+   * Title a chat after its first message
+   * @param {string} text - First user message
+   * @returns {string} Title of at most 30 characters plus ellipsis
+   */
+  createDefaultTitle(text) {
+    return text.length > 30 ? `${text.substring(0, 30)}...` : text;
+  }
+
+  /**
+   * Ask the model for a short descriptive title based on the first exchange
+   * @param {Object} chat - Chat document
+   * @returns {Promise<Object>} { title, promptTemplates }; title is empty when the model returned nothing usable
+   */
+  async generateTitle(chat) {
+    const transcript = this.getActiveBranch(chat)
+      .slice(0, TITLE_CONTEXT_MESSAGES)
+      .map(message => {
+        const speaker = message.role === "user" ? "Learner" : "Assistant";
+        return `${speaker}: ${message.content.substring(0, TITLE_INPUT_CHARS)}`;
+      })
+      .join("\n\n");
+
+    const prompt = PromptService.render("chat-title", { transcript });
+    const instruction = LanguageService.getInstruction(chat.language);
+
+    const completion = await LLMService.generate("title", [
+      ...LanguageService.getSystemMessages(chat.language),
+      { role: "user", content: prompt.text },
+    ], { userId: chat.userId });
+
+    return {
+      title: this.cleanTitle(completion.text),
+      promptTemplates: [instruction, prompt].filter(Boolean).map(rendered => PromptService.toRef(rendered)),
+    };
+  }
+
+  /**
+   * Normalize a model-generated title
+   * @private
+   * @param {string} text - Raw model output
+   * @returns {string} Single-line title without quotes or labels
+   */
+  cleanTitle(text) {
+    const firstLine = (text || "").trim().split("\n")[0];
+    const title = firstLine
+      .replace(/^(title)\s*:\s*/i, "")
+      .replace(/^[#*"'`\s]+|[*"'`.\s]+$/g, "")
+      .trim();
+
+    return title.length > MAX_TITLE_LENGTH
+      ? `${title.substring(0, MAX_TITLE_LENGTH - 3).trim()}...`
+      : title;
+  }
+
+  /**
+   * Replace a default title with a generated one
+   * Falls back to the existing title when generation fails, and never
+   * overwrites a title the user chose.
+   * @param {Object} chat - Saved chat document (updated in place)
+   * @returns {Promise<string>} The chat title after the update
+   */
+  async applyGeneratedTitle(chat) {
+    if (chat.titleSource === "user") return chat.title;
+
+    try {
+      const { title, promptTemplates } = await this.generateTitle(chat);
+      if (!title) return chat.title;
+
+      const result = await this.model.updateOne(
+        { _id: chat._id, titleSource: { $ne: "user" } },
+        { $set: { title, titleSource: "generated", titlePromptTemplates: promptTemplates } }
+      );
+
+      if (result.modifiedCount > 0) {
+        chat.title = title;
+        chat.titleSource = "generated";
+        chat.titlePromptTemplates = promptTemplates;
+      }
+    } catch (error) {
+      console.error("Error generating chat title:", error.response?.data || error.message);
+    }
+
+    return chat.title;
+  }
+
+  /**
+   * Generate a new title on demand, even if the user renamed the chat
+   * @param {string} chatId - The chat ID
+   * @param {string} userId - The user ID (for authorization)
+   * @returns {Promise} The updated chat (without messages)
+   */
+  async retitleChat(chatId, userId) {
+    try {
+      const chat = await this.getChatById(chatId, userId);
+      const { title, promptTemplates } = await this.generateTitle(chat);
+
+      if (!title) {
+        throw new Error('Title generation failed');
+      }
+
+      chat.title = title;
+      chat.titleSource = "generated";
+      chat.titlePromptTemplates = promptTemplates;
+      await chat.save();
+
+      return this.model.findById(chat._id).select(CHAT_LIST_FIELDS);
+    } catch (error) {
+      console.error('Error in retitleChat:', error.response?.data || error.message);
+      throw error.message === 'Chat not found' ? error : new Error('Title generation failed');
+    }
+  }
+
+  /**
+   * Chats saved before branching existed have no parent links; treat them as
+   * one linear branch ending at the last message.
+   * @private
+   * @param {Object} chat - Chat document (updated in place)
+   */
+  ensureMessageTree(chat) {
+    if (chat.activeLeafId || chat.messages.length === 0) return;
+
+    chat.messages.forEach((message, index) => {
+      message.parentId = index > 0 ? chat.messages[index - 1]._id : null;
+    });
+    chat.activeLeafId = chat.messages[chat.messages.length - 1]._id;
+  }
+
+  /**
+   * Get the id of the last message on the active branch
+   * @param {Object} chat - Chat document
+   * @returns {ObjectId|null} The active leaf id
+   */
+  getActiveLeafId(chat) {
+    this.ensureMessageTree(chat);
+    return chat.activeLeafId || null;
+  }
+
+  /**
+   * Get the messages from the root to a leaf, in conversation order
+   * @param {Object} chat - Chat document
+   * @param {ObjectId} leafId - Leaf message id (defaults to the active leaf)
+   * @returns {Array} Messages on the branch
+   */
+  getActiveBranch(chat, leafId = this.getActiveLeafId(chat)) {
+    const byId = new Map(chat.messages.map(message => [String(message._id), message]));
+    const branch = [];
+    const visited = new Set();
+
+    // visited stops at a parentId cycle, so a corrupt document can't hang a request
+    let current = leafId ? byId.get(String(leafId)) : null;
+    while (current && !visited.has(String(current._id))) {
+      visited.add(String(current._id));
+      branch.push(current);
+      current = current.parentId ? byId.get(String(current.parentId)) : null;
+    }
+
+    return branch.reverse();
+  }
+
+  /**
+   * Get the alternatives for a message (messages with the same parent)
+   * @param {Object} chat - Chat document
+   * @param {ObjectId|null} parentId - Parent message id (null for the first message)
+   * @returns {Array} Sibling messages in creation order
+   */
+  getChildren(chat, parentId) {
+    const key = parentId ? String(parentId) : null;
+    return chat.messages.filter(message => (message.parentId ? String(message.parentId) : null) === key);
+  }
+
+  /**
+   * Follow the most recent reply from a message down to the end of its branch
+   * @private
+   * @param {Object} chat - Chat document
+   * @param {Object} message - Message to start from
+   * @returns {Object} The leaf message
+   */
+  findLatestLeaf(chat, message) {
+    let current = message;
+    let children = this.getChildren(chat, current._id);
+    const visited = new Set([String(current._id)]);
+
+    while (children.length > 0 && !visited.has(String(children[children.length - 1]._id))) {
+      current = children[children.length - 1];
+      visited.add(String(current._id));
+      children = this.getChildren(chat, current._id);
+    }
+
+    return current;
+  }
+
+  /**
+   * Append messages as a chain under a parent and make them the active branch
+   * @private
+   * @param {Object} chat - Chat document (updated in place)
+   * @param {ObjectId|null} parentId - Message to attach to
+   * @param {Array} messages - Plain message objects
+   * @returns {Array} The created message subdocuments
+   */
+  appendToBranch(chat, parentId, messages) {
+    const created = [];
+    let currentParentId = parentId;
+
+    for (const message of messages) {
+      chat.messages.push({ ...message, parentId: currentParentId });
+      const subdocument = chat.messages[chat.messages.length - 1];
+      created.push(subdocument);
+      currentParentId = subdocument._id;
+    }
+
+    chat.activeLeafId = currentParentId;
+    return created;
+  }
+
+  /**
+   * Find a message in a chat
+   * @private
+   * @param {Object} chat - Chat document
+   * @param {string} messageId - Message id
+   * @returns {Object} The message subdocument
+   */
+  findMessage(chat, messageId) {
+    const message = chat.messages.find(m => String(m._id) === String(messageId));
+
+    if (!message) {
+      throw new Error('Message not found');
+    }
+
+    return message;
+  }
+
+  /**
+   * Build a context from a branch prefix, reusing the summary only when the
+   * prefix still contains everything the summary covers
+   * @private
+   * @param {Object} chat - Chat document
+   * @param {Array} prefix - Messages from the root up to the message being answered
+   * @param {Object} profilePrompt - Optional rendered learner profile
+   * @returns {Array} Context messages
+   */
+  buildBranchContext(chat, prefix, profilePrompt = null) {
+    const activeBranch = this.getActiveBranch(chat);
+    const summarizedCount = this.getSummarizedCount(chat);
+    const sharesSummary = summarizedCount > 0 &&
+      summarizedCount <= prefix.length &&
+      prefix.slice(0, summarizedCount).every((message, index) => message === activeBranch[index]);
+    const options = {
+      threadContext: chat.stepThread?.context,
+      language: chat.language,
+      learnerProfile: profilePrompt?.text,
+    };
+
+    return sharesSummary
+      ? this.buildChatContext(prefix.slice(summarizedCount), null, chat.contextSummary, options)
+      : this.buildChatContext(prefix, null, null, options);
+  }
+
+  /**
+   * Prepare a new answer to the last user message on the active branch
+   * @param {string} chatId - The chat ID
+   * @param {string} userId - The user ID (for authorization)
+   * @returns {Promise<Object>} { chat, parentId, contextMessages, promptTemplates }
+   */
+  async prepareRegeneration(chatId, userId) {
+    const chat = await this.getChatById(chatId, userId);
+    const branch = this.getActiveBranch(chat);
+    const lastMessage = branch[branch.length - 1];
+
+    if (!lastMessage || lastMessage.role !== "assistant") {
+      throw new Error('Invalid regeneration: the conversation does not end with an assistant reply');
+    }
+
+    const prefix = branch.slice(0, -1);
+    const profilePrompt = UserProfileService.getInstruction(await UserProfileService.findProfile(userId));
+
+    return {
+      chat,
+      parentId: lastMessage.parentId,
+      contextMessages: this.buildBranchContext(chat, prefix, profilePrompt),
+      promptTemplates: this.getPromptTemplates(null, chat.language, profilePrompt),
+    };
+  }
+
+  /**
+   * Save a regenerated reply as a sibling of the previous one
+   * @param {Object} chat - Chat document
+   * @param {ObjectId} parentId - The user message being answered
+   * @param {string} answer - New assistant reply
+   * @param {Array} suggestions - Follow-up suggestion texts
+   * @param {Array} promptTemplates - Templates that produced the reply
+   * @returns {Promise<Object>} { savedChat, message }
+   */
+  async saveRegeneratedReply(chat, parentId, answer, suggestions = [], promptTemplates = []) {
+    const prefixLength = this.getActiveBranch(chat, parentId).length;
+    this.invalidateSummaryBeyond(chat, prefixLength);
+
+    const [message] = this.appendToBranch(chat, parentId, [
+      this.createAssistantMessage(answer, suggestions, promptTemplates),
+    ]);
+    chat.updatedAt = new Date();
+
+    const savedChat = await chat.save();
+    this.updateContextSummary(savedChat);
+
+    return { savedChat, message };
+  }
+
+  /**
+   * Prepare an edited version of an earlier user message
+   * The original message and everything after it stay in the chat as a sibling branch.
+   * @param {string} chatId - The chat ID
+   * @param {string} userId - The user ID (for authorization)
+   * @param {string} messageId - The user message to edit
+   * @param {string} content - New message content
+   * @returns {Promise<Object>} { chat, parentId, content, contextMessages, promptTemplates }
+   */
+  async prepareEdit(chatId, userId, messageId, content) {
+    if (typeof content !== "string" || !content.trim()) {
+      throw new Error('Invalid edit: content must be a non-empty string');
+    }
+
+    const chat = await this.getChatById(chatId, userId);
+    const original = this.findMessage(chat, messageId);
+
+    if (original.role !== "user") {
+      throw new Error('Invalid edit: only user messages can be edited');
+    }
+
+    const parentId = original.parentId || null;
+    const prefix = parentId ? this.getActiveBranch(chat, parentId) : [];
+    const profilePrompt = UserProfileService.getInstruction(await UserProfileService.findProfile(userId));
+
+    return {
+      chat,
+      parentId,
+      content,
+      contextMessages: [
+        ...this.buildBranchContext(chat, prefix, profilePrompt),
+        { role: "user", content },
+      ],
+      promptTemplates: this.getPromptTemplates(null, chat.language, profilePrompt),
+    };
+  }
+
+  /**
+   * Save an edited user message and its reply as a new branch
+   * @param {Object} chat - Chat document
+   * @param {ObjectId|null} parentId - Parent of the edited message
+   * @param {string} content - Edited user message
+   * @param {string} answer - Assistant reply
+   * @param {Array} suggestions - Follow-up suggestion texts
+   * @param {Array} promptTemplates - Templates that produced the reply
+   * @returns {Promise<Object>} { savedChat, userMessage, message }
+   */
+  async saveEditedExchange(chat, parentId, content, answer, suggestions = [], promptTemplates = []) {
+    const prefixLength = parentId ? this.getActiveBranch(chat, parentId).length : 0;
+    this.invalidateSummaryBeyond(chat, prefixLength);
+
+    const [userMessage, message] = this.appendToBranch(chat, parentId, [
+      { role: "user", content, timestamp: new Date() },
+      this.createAssistantMessage(answer, suggestions, promptTemplates),
+    ]);
+    chat.updatedAt = new Date();
+
+    const savedChat = await chat.save();
+    this.updateContextSummary(savedChat);
+
+    return { savedChat, userMessage, message };
+  }
+
+  /**
+   * Make the branch containing a message the active one
+   * Switching to a message that has replies continues to its most recent reply.
+   * @param {string} chatId - The chat ID
+   * @param {string} userId - The user ID (for authorization)
+   * @param {string} messageId - Any message on the wanted branch
+   * @returns {Promise<Object>} The chat view for the new branch
+   */
+  async switchBranch(chatId, userId, messageId) {
+    try {
+      const chat = await this.getChatById(chatId, userId);
+      const leaf = this.findLatestLeaf(chat, this.findMessage(chat, messageId));
+
+      const previousBranch = this.getActiveBranch(chat);
+      const nextBranch = this.getActiveBranch(chat, leaf._id);
+
+      let sharedLength = 0;
+      while (
+        sharedLength < Math.min(previousBranch.length, nextBranch.length) &&
+        previousBranch[sharedLength] === nextBranch[sharedLength]
+      ) {
+        sharedLength++;
+      }
+
+      this.invalidateSummaryBeyond(chat, sharedLength);
+      chat.activeLeafId = leaf._id;
+      await chat.save();
+
+      return this.toChatView(chat);
+    } catch (error) {
+      console.error('Error in switchBranch:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a chat with only its active branch, each message annotated with its siblings
+   * @param {string} chatId - The chat ID
+   * @param {string} userId - The user ID (for authorization)
+   * @returns {Promise<Object>} Chat view
+   */
+  async getChatView(chatId, userId) {
+    const chat = await this.getChatById(chatId, userId);
+    return this.toChatView(chat);
+  }
+
+  /**
+   * Convert a chat document into the active-branch view sent to clients
+   * @private
+   * @param {Object} chat - Chat document
+   * @returns {Object} Plain chat object
+   */
+  toChatView(chat) {
+    const branch = this.getActiveBranch(chat);
+    const { messages, ...rest } = chat.toObject();
+
+    return {
+      ...rest,
+      activeLeafId: this.getActiveLeafId(chat),
+      totalMessages: messages.length,
+      messages: branch.map(message => {
+        const siblings = this.getChildren(chat, message.parentId);
+        const siblingIds = siblings.map(sibling => sibling._id);
+
+        return {
+          ...message.toObject(),
+          siblingIds,
+          siblingIndex: siblingIds.findIndex(id => String(id) === String(message._id)),
+          siblingCount: siblingIds.length,
+        };
+      }),
+    };
+  }
+
+  /**
+   * Estimate the number of tokens in a piece of text (see llm/tokens.js)
+   * @param {string} text - Text to measure
+   * @returns {number} Estimated token count
+   */
+  estimateTokenCount(text) {
+    return estimateTokenCount(text);
+  }
+
+  /**
+   * Estimate the tokens a message occupies in the context window
+   * @private
+   * @param {Object} message - Provider-neutral message
+   * @returns {number} Estimated token count including overhead
+   */
+  estimateMessageTokens(message) {
+    return this.estimateTokenCount(message.content) + MESSAGE_TOKEN_OVERHEAD;
+  }
+
+  /**
+   * Build the provider-neutral context for the next model call
+   * Keeps the system message, the running summary of older messages and as many
+   * of the most recent messages as fit in the token budget.
+   * @param {Array} messages - Messages not yet folded into the summary
+   * @param {string} newMessage - Optional new user message to append
+   * @param {string} summary - Running summary of older messages
+   * @param {Object} options - { threadContext, language, learnerProfile }
+   *   threadContext: extra system prompt for step tutor threads
+   *   language: reply language (English needs no instruction)
+   *   learnerProfile: rendered learner profile, appended to the system message
+   * @returns {Array} Context messages ({ role, content })
+   */
+  buildChatContext(messages, newMessage, summary = null, { threadContext = null, language = null, learnerProfile = null } = {}) {
+    // Add system message at the beginning
+    const contextMessages = [
+      {
+        role: "system",
+        content: [this.getSystemPrompt().text, learnerProfile].filter(Boolean).join("\n\n"),
+      },
+    ];
+
+    // Keep step tutor threads focused on their step
+    if (threadContext) {
+      contextMessages.push({
+        role: "system",
+        content: threadContext,
+      });
+    }
+
+    contextMessages.push(...LanguageService.getSystemMessages(language));
+
+    // Inject what happened earlier in the conversation
+    if (summary) {
+      contextMessages.push({
+        role: "system",
+        content: `Summary of the earlier conversation with this learner:\n${summary}`,
+      });
+    }
+
+    let totalTokens = contextMessages.reduce(
+      (total, message) => total + this.estimateMessageTokens(message),
+      0
+    );
+
+    // Walk back from the newest message so recent turns win when the budget runs out
+    const recentMessages = [];
+    const candidates = (messages || []).slice(-MAX_CONTEXT_MESSAGES);
+
+    for (let i = candidates.length - 1; i >= 0; i--) {
+      const message = {
+        role: candidates[i].role === "user" ? "user" : "assistant",
+        content: candidates[i].content,
+      };
+      const messageTokens = this.estimateMessageTokens(message);
+
+      if (totalTokens + messageTokens > MAX_CONTEXT_TOKENS) {
+        console.log(
+          `Skipping ${i + 1} older message(s) due to token limit (${totalTokens}/${MAX_CONTEXT_TOKENS})`
+        );
+        break;
+      }
+
+      recentMessages.unshift(message);
+      totalTokens += messageTokens;
+    }
+
+    contextMessages.push(...recentMessages);
+
+    // Add the new message if it's not included yet
+    if (newMessage) {
+      contextMessages.push({
+        role: "user",
+        content: newMessage,
+      });
+    }
+
+    return contextMessages;
+  }
+
+  /**
+   * Get the number of leading messages already folded into the summary
+   * Chats saved before summaries existed stored the message count in
+   * lastMessageIndex, so it only counts once a summary has been written.
+   * @param {Object} chat - Chat document
+   * @returns {number} Count of summarized messages
+   */
+  getSummarizedCount(chat) {
+    if (!chat?.contextSummary) return 0;
+    return Math.min(chat.lastMessageIndex || 0, this.getActiveBranch(chat).length);
+  }
+
+  /**
+   * Get the active-branch messages that still need to be sent verbatim
+   * @param {Object} chat - Chat document
+   * @returns {Array} Messages after the summarized prefix
+   */
+  getUnsummarizedMessages(chat) {
+    return this.getActiveBranch(chat).slice(this.getSummarizedCount(chat));
+  }
+
+  /**
+   * Drop the summary when the active branch no longer contains what it covers
+   * @private
+   * @param {Object} chat - Chat document
+   * @param {number} sharedLength - Messages the new branch shares with the summarized one
+   */
+  invalidateSummaryBeyond(chat, sharedLength) {
+    if (this.getSummarizedCount(chat) > sharedLength) {
+      chat.contextSummary = undefined;
+      chat.summaryPromptTemplates = undefined;
+      chat.lastMessageIndex = 0;
+    }
+  }
+
+  /**
+   * Check whether older messages should be folded into the summary
+   * @param {Object} chat - Chat document
+   * @returns {boolean} True when the verbatim tail has outgrown the context window
+   */
+  needsSummary(chat) {
+    const pending = this.getUnsummarizedMessages(chat);
+    
+    if (pending.length <= RECENT_MESSAGES_TO_KEEP) return false;
+    if (pending.length > MAX_CONTEXT_MESSAGES) return true;
+    
+    const pendingTokens = pending.reduce(
+      (total, message) => total + this.estimateMessageTokens(message),
+      this.estimateTokenCount(chat.contextSummary)
+    );
+    
+    return pendingTokens > MAX_CONTEXT_TOKENS;
+  }
+
+  /**
+   * Fold older messages into the persisted running summary
+   * Only the messages between lastMessageIndex and the recent tail are sent to
+   * the model, together with the previous summary.
+   * @param {Object} chat - Chat document
+   * @returns {Promise<Object|null>} The new summary state, or null if nothing changed
+   */
+  async updateContextSummary(chat) {
+    try {
+      if (!this.needsSummary(chat)) return null;
+      
+      const branch = this.getActiveBranch(chat);
+      const summarizedCount = this.getSummarizedCount(chat);
+      const foldUntil = branch.length - RECENT_MESSAGES_TO_KEEP;
+      const messagesToFold = branch.slice(summarizedCount, foldUntil);
+      
+      const transcript = messagesToFold
+        .map(message => {
+          const speaker = message.role === "user" ? "Learner" : "Assistant";
+          return `${speaker}: ${message.content.substring(0, MAX_SUMMARY_INPUT_CHARS)}`;
+        })
+        .join("\n\n");
+      
+      const prompt = PromptService.render("chat-summary", {
+        maxWords: MAX_SUMMARY_WORDS,
+        summary: chat.contextSummary || "(none yet)",
+        transcript,
+      });
+      
+      const completion = await LLMService.generate("summary", [
+        { role: "user", content: prompt.text },
+      ], { userId: chat.userId });
+      
+      const contextSummary = completion.text?.trim();
+      if (!contextSummary) return null;
+      
+      // Only write if nobody moved the summary forward or switched branches in the meantime
+      const result = await this.model.updateOne(
+        { _id: chat._id, lastMessageIndex: chat.lastMessageIndex, activeLeafId: chat.activeLeafId },
+        { $set: { contextSummary, lastMessageIndex: foldUntil, summaryPromptTemplates: [PromptService.toRef(prompt)] } }
+      );
+      
+      if (result.modifiedCount === 0) return null;
+      
+      console.log(`Summarized ${messagesToFold.length} messages for chat ${chat._id}`);
+      return { contextSummary, lastMessageIndex: foldUntil };
+    } catch (error) {
+      console.error('Error in updateContextSummary:', error.response?.data || error.message);
+      return null;
+    }
+  }
+}
+
+// Export a singleton instance
+export default new ChatService();
@@ -0,0 +1,264 @@
+import crypto from 'crypto';
+import BaseService from './BaseService.js';
+import ExplanationCache from '../models/ExplanationCacheModel.js';
+import LLMService from './LLMService.js';
+import PromptService from './PromptService.js';
+import LanguageService from './LanguageService.js';
+
+// Step types with their own explanation template; others use explain-step-general
+const STEP_TYPES = ['prerequisite', 'core', 'practice', 'advanced'];
+
+// Cached explanations live for 30 days unless configured otherwise; 0 disables the cache
+const DEFAULT_CACHE_TTL_HOURS = 24 * 30;
+
+/**
+ * ExplanationService - Class for explaining learning steps
+ * Extends BaseService to inherit common functionality
+ */
+class ExplanationService extends BaseService {
+  /**
+   * Constructor for the explanation service
+   */
+  constructor() {
+    // Pass the ExplanationCache model to the base service
+    super(ExplanationCache);
+  }
+
+  /**
+   * Explain a learning step, reusing a cached explanation when possible
+   * @param {Object} options - { stepTitle, stepType, refresh, language, userId }
+   * @returns {Promise<Object>} { explanation, cached, cachedAt, model, language, promptTemplate }
+   */
+  async explainStep({ stepTitle, stepType, refresh = false, language = LanguageService.getDefaultLanguage(), userId }) {
+    const title = this.normalizeTitle(stepTitle);
+    const type = this.normalizeType(stepType);
+    const prompt = this.buildPrompt(stepTitle.trim(), type);
+    const promptTemplate = PromptService.toRef(prompt);
+    const { provider, model } = LLMService.getEndpointConfig('explainStep');
+    const key = this.buildCacheKey(title, type, language, promptTemplate, model);
+    
+    if (!refresh) {
+      const entry = await this.getCachedExplanation(key);
+      if (entry) {
+        return {
+          explanation: entry.explanation,
+          cached: true,
+          cachedAt: entry.createdAt,
+          model: entry.model,
+          language,
+          promptTemplate,
+        };
+      }
+    }
+    
+    const completion = await LLMService.generate('explainStep', [
+      ...LanguageService.getSystemMessages(language),
+      { role: 'user', content: prompt.text },
+    ], { userId });
+    
+    if (!completion.text) {
+      return { explanation: 'No explanation available', cached: false, model: completion.model, language, promptTemplate };
+    }
+    
+    await this.cacheExplanation({
+      key,
+      stepTitle: title,
+      stepType: type,
+      language,
+      promptTemplateId: promptTemplate.templateId,
+      promptVersion: promptTemplate.version,
+      provider,
+      model: completion.model || model,
+      explanation: completion.text,
+    });
+    
+    return { explanation: completion.text, cached: false, model: completion.model, language, promptTemplate };
+  }
+
+  /**
+   * Explain a step of a learning path using the path as context
+   * Not cached: the prompt depends on the user's path and notes
+   * @param {Object} learningPath - The learning path document
+   * @param {Number} stepIndex - Index of the step to explain
+   * @param {String} language - Reply language
+   * @returns {Promise<Object>} { content, model, promptTemplates }
+   */
+  async explainPathStep(learningPath, stepIndex, language) {
+    const { text, promptTemplates } = this.buildPathStepPrompt(learningPath, stepIndex);
+    const instruction = LanguageService.getInstruction(language);
+    const completion = await LLMService.generate('explainStep', [
+      ...LanguageService.getSystemMessages(language),
+      { role: 'user', content: text },
+    ], { userId: learningPath.userId });
+    
+    if (!completion.text) {
+      throw new Error('Empty explanation from model');
+    }
+    
+    return {
+      content: completion.text,
+      model: completion.model,
+      promptTemplates: instruction ? [...promptTemplates, PromptService.toRef(instruction)] : promptTemplates,
+    };
+  }
+
+  /**
+   * Build the prompt for a step, adding the path title, neighbouring steps and user notes
+   * @param {Object} learningPath - The learning path document
+   * @param {Number} stepIndex - Index of the step to explain
+   * @returns {Object} { text, promptTemplates }
+   */
+  buildPathStepPrompt(learningPath, stepIndex) {
+    const step = learningPath.steps[stepIndex];
+    const previous = learningPath.steps[stepIndex - 1];
+    const next = learningPath.steps[stepIndex + 1];
+    
+    const context = [
+      `This step is part of the learning path "${learningPath.title}"` +
+        ` (step ${stepIndex + 1} of ${learningPath.steps.length}).`,
+    ];
+    
+    if (learningPath.description) {
+      context.push(`Path overview: ${learningPath.description}`);
+    }
+    if (step.description) {
+      context.push(`Step description: ${step.description}`);
+    }
+    if (previous) {
+      context.push(`The previous step was "${previous.title}"${previous.completed ? ' (completed)' : ''}.`);
+    }
+    if (next) {
+      context.push(`The next step is "${next.title}".`);
+    }
+    if (step.notes) {
+      context.push(`The learner's notes on this step:\n${step.notes}`);
+    }
+    
+    const instructions = this.buildPrompt(step.title, this.normalizeType(step.category));
+    const prompt = PromptService.render('explain-path-step', {
+      instructions: instructions.text,
+      context: context.join('\n'),
+    });
+    
+    return {
+      text: prompt.text,
+      promptTemplates: [PromptService.toRef(instructions), PromptService.toRef(prompt)],
+    };
+  }
+
+  /**
+   * Render the explanation prompt for a step type
+   * @param {String} stepTitle - The step title
+   * @param {String} stepType - A normalized step type
+   * @returns {Object} { text, id, version }
+   */
+  buildPrompt(stepTitle, stepType) {
+    const templateId = STEP_TYPES.includes(stepType) ? `explain-step-${stepType}` : 'explain-step-general';
+    return PromptService.render(templateId, { stepTitle });
+  }
+
+  /**
+   * Normalize a step title so trivially different titles share a cache entry
+   * @param {String} stepTitle - The raw step title
+   * @returns {String} Lowercased title with collapsed whitespace and no trailing punctuation
+   */
+  normalizeTitle(stepTitle) {
+    return stepTitle
+      .normalize('NFKC')
+      .toLowerCase()
+      .replace(/\s+/g, ' ')
+      .replace(/[\s.:;,!]+$/, '')
+      .trim();
+  }
+
+  /**
+   * Normalize a step type; unknown types all use the default prompt
+   * @param {String} stepType - The raw step type
+   * @returns {String} A known step type or 'general'
+   */
+  normalizeType(stepType) {
+    const type = String(stepType || '').trim().toLowerCase();
+    return STEP_TYPES.includes(type) ? type : 'general';
+  }
+
+  /**
+   * Build the cache key for an explanation
+   * @param {String} title - Normalized step title
+   * @param {String} type - Normalized step type
+   * @param {String} language - Reply language
+   * @param {Object} promptTemplate - Template the prompt was rendered from ({ templateId, version })
+   * @param {String} model - Model that produces the explanation
+   * @returns {String} SHA-256 hex digest
+   */
+  buildCacheKey(title, type, language, promptTemplate, model) {
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify([title, type, language, promptTemplate.templateId, promptTemplate.version, model]))
+      .digest('hex');
+  }
+
+  /**
+   * Get the configured cache lifetime
+   * @returns {Number} Lifetime in milliseconds (0 when caching is disabled)
+   */
+  getCacheTtl() {
+    const hours = parseFloat(process.env.EXPLANATION_CACHE_TTL_HOURS);
+    return (Number.isFinite(hours) && hours >= 0 ? hours : DEFAULT_CACHE_TTL_HOURS) * 60 * 60 * 1000;
+  }
+
+  /**
+   * Look up a live cache entry and count the hit
+   * Cache errors are logged and treated as a miss so explanations keep working
+   * @private
+   * @param {String} key - Cache key
+   * @returns {Promise<Object|null>} The cache entry or null
+   */
+  async getCachedExplanation(key) {
+    if (this.getCacheTtl() === 0) return null;
+    
+    try {
+      // The TTL monitor only runs once a minute, so check expiry here too
+      return await this.model.findOneAndUpdate(
+        { key, expiresAt: { $gt: new Date() } },
+        { $inc: { hits: 1 } },
+        { new: true }
+      ).lean();
+    } catch (error) {
+      console.error('Error reading explanation cache:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Store or replace a cache entry
+   * @private
+   * @param {Object} entry - { key, stepTitle, stepType, language, promptTemplateId, promptVersion, provider, model, explanation }
+   * @returns {Promise<void>}
+   */
+  async cacheExplanation(entry) {
+    const ttl = this.getCacheTtl();
+    if (ttl === 0) return;
+    
+    const now = new Date();
+    
+    try {
+      await this.model.updateOne(
+        { key: entry.key },
+        {
+          $set: {
+            ...entry,
+            hits: 0,
+            createdAt: now,
+            expiresAt: new Date(now.getTime() + ttl),
+          },
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      console.error('Error writing explanation cache:', error.message);
+    }
+  }
+}
+
+// Export a singleton instance
+export default new ExplanationService();
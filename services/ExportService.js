@@ -0,0 +1,355 @@
+import { once } from 'events';
+import archiver from 'archiver';
+import ChatService from './ChatService.js';
+
+// Supported export formats and their file details
+const EXPORT_FORMATS = {
+  md: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  html: { extension: 'html', contentType: 'text/html; charset=utf-8' },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+};
+
+// Identifies our JSON export so it can be imported again
+export const JSON_EXPORT_FORMAT = 'techstack-chat-export';
+export const JSON_EXPORT_VERSION = 1;
+
+// Role headings used in rendered exports
+const ROLE_LABELS = {
+  user: 'You',
+  assistant: 'Assistant',
+};
+
+/**
+ * ExportService - Class for rendering chats as Markdown, HTML and JSON files
+ * Markdown and HTML contain the active branch; JSON contains every branch so
+ * it can be imported without losing history.
+ */
+class ExportService {
+  /**
+   * Check an export format and get its file details
+   * @param {string} format - md, html or json
+   * @returns {Object} { extension, contentType }
+   */
+  getFormat(format) {
+    const details = EXPORT_FORMATS[format];
+    
+    if (!details) {
+      throw new Error(`Invalid export format: use ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+    
+    return details;
+  }
+
+  /**
+   * Export a single chat
+   * @param {string} chatId - The chat ID
+   * @param {string} userId - The user ID (for authorization)
+   * @param {string} format - md, html or json
+   * @returns {Promise<Object>} { filename, contentType, body }
+   */
+  async exportChat(chatId, userId, format) {
+    try {
+      const { extension, contentType } = this.getFormat(format);
+      const chat = await ChatService.getChatById(chatId, userId);
+      
+      return {
+        filename: `${this.createFileStem(chat)}.${extension}`,
+        contentType,
+        body: this.render(chat, format),
+      };
+    } catch (error) {
+      console.error('Error in exportChat:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Export every chat of a user as a zip archive
+   * Chats are read one at a time through a cursor, and the next chat is only
+   * read once the previous one is in the archive. The archive only takes in
+   * more while its reader keeps up, so a slow download holds back reading
+   * instead of buffering the whole history in memory.
+   * Step tutor threads are left out, as in the chat list.
+   * @param {string} userId - The user ID
+   * @param {string} format - md, html or json
+   * @returns {Object} { filename, archive, cancel } - archive is a readable stream to pipe;
+   *   cancel() stops reading chats and aborts the archive (e.g. when the client goes away)
+   */
+  exportUserChats(userId, format) {
+    const { extension } = this.getFormat(format);
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    const usedNames = new Set();
+    const controller = new AbortController();
+    let cursor = null;
+    
+    const addChats = async () => {
+      cursor = ChatService.model.find({ userId, stepThread: { $exists: false } }).sort({ createdAt: 1 }).cursor();
+      
+      for await (const chat of cursor) {
+        if (controller.signal.aborted) break;
+        
+        let name = `${this.createFileStem(chat)}.${extension}`;
+        
+        // Two chats can share a title and date
+        for (let counter = 2; usedNames.has(name); counter++) {
+          name = `${this.createFileStem(chat)}-${counter}.${extension}`;
+        }
+        usedNames.add(name);
+        
+        // 'entry' fires once the file has been compressed into the output stream
+        // Waiting stops when the export is cancelled, since a closed reader never takes the entry
+        const added = once(archive, 'entry', { signal: controller.signal });
+        archive.append(this.render(chat, format), { name, date: chat.updatedAt });
+        await added;
+      }
+      
+      if (!controller.signal.aborted) {
+        await archive.finalize();
+      }
+    };
+    
+    addChats().catch(error => {
+      if (controller.signal.aborted) return;
+      
+      console.error('Error in exportUserChats:', error);
+      archive.abort();
+      archive.emit('error', error);
+    });
+    
+    const cancel = () => {
+      if (controller.signal.aborted) return;
+      
+      controller.abort();
+      cursor?.close().catch(error => console.error('Error closing export cursor:', error.message));
+      archive.abort();
+    };
+    
+    const date = new Date().toISOString().substring(0, 10);
+    
+    return {
+      filename: `chats-${date}-${format}.zip`,
+      archive,
+      cancel,
+    };
+  }
+
+  /**
+   * Render a chat in the requested format
+   * @param {Object} chat - Chat document
+   * @param {string} format - md, html or json
+   * @returns {string} File contents
+   */
+  render(chat, format) {
+    switch (format) {
+      case 'md':
+        return this.renderMarkdown(chat);
+      case 'html':
+        return this.renderHtml(chat);
+      case 'json':
+        return JSON.stringify(this.toJsonExport(chat), null, 2);
+      default:
+        throw new Error(`Invalid export format: use ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+  }
+
+  /**
+   * Render the active branch as Markdown
+   * Message bodies are already Markdown, so code blocks are kept verbatim.
+   * @param {Object} chat - Chat document
+   * @returns {string} Markdown document
+   */
+  renderMarkdown(chat) {
+    const lines = [
+      `# ${chat.title}`,
+      '',
+      `_Started ${this.formatTimestamp(chat.createdAt)} · exported ${this.formatTimestamp(new Date())}_`,
+      '',
+    ];
+    
+    for (const message of ChatService.getActiveBranch(chat)) {
+      lines.push(
+        '---',
+        '',
+        `## ${ROLE_LABELS[message.role]} · ${this.formatTimestamp(message.timestamp)}`,
+        '',
+        message.content.trimEnd(),
+        ''
+      );
+    }
+    
+    return lines.join('\n');
+  }
+
+  /**
+   * Render the active branch as a standalone HTML page
+   * @param {Object} chat - Chat document
+   * @returns {string} HTML document
+   */
+  renderHtml(chat) {
+    const messages = ChatService.getActiveBranch(chat)
+      .map(message => `  <section class="message ${message.role}">
+    <h2>${ROLE_LABELS[message.role]} <time datetime="${new Date(message.timestamp).toISOString()}">${this.formatTimestamp(message.timestamp)}</time></h2>
+    ${this.markdownToHtml(message.content)}
+  </section>`)
+      .join('\n');
+    
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${this.escapeHtml(chat.title)}</title>
+  <style>
+    body { font-family: system-ui, sans-serif; max-width: 48rem; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }
+    .message { border-top: 1px solid #ddd; padding: 0.5rem 0; }
+    .message h2 { font-size: 1rem; }
+    .message.user h2 { color: #1a5fb4; }
+    .message.assistant h2 { color: #26a269; }
+    time { color: #777; font-weight: normal; font-size: 0.85rem; margin-left: 0.5rem; }
+    pre { background: #f6f8fa; padding: 0.75rem; overflow-x: auto; }
+    code { font-family: ui-monospace, monospace; }
+  </style>
+</head>
+<body>
+  <h1>${this.escapeHtml(chat.title)}</h1>
+  <p><em>Started ${this.formatTimestamp(chat.createdAt)} · exported ${this.formatTimestamp(new Date())}</em></p>
+${messages}
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Build the re-importable JSON representation of a chat (all branches)
+   * @param {Object} chat - Chat document
+   * @returns {Object} Export object
+   */
+  toJsonExport(chat) {
+    const activeLeafId = ChatService.getActiveLeafId(chat);
+    
+    return {
+      format: JSON_EXPORT_FORMAT,
+      version: JSON_EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      chat: {
+        title: chat.title,
+        createdAt: chat.createdAt,
+        updatedAt: chat.updatedAt,
+        pinned: !!chat.pinned,
+        archived: !!chat.archived,
+        activeLeafId: activeLeafId ? String(activeLeafId) : null,
+        messages: chat.messages.map(message => ({
+          id: String(message._id),
+          parentId: message.parentId ? String(message.parentId) : null,
+          role: message.role,
+          content: message.content,
+          suggestions: (message.suggestions || []).map(suggestion => suggestion.text),
+          timestamp: message.timestamp,
+        })),
+      },
+    };
+  }
+
+  /**
+   * Convert a small, safe subset of Markdown to HTML
+   * Text is escaped as it is formatted; fenced code blocks, inline code,
+   * headings, bold text and paragraphs become markup, nothing else does.
+   * @private
+   * @param {string} markdown - Markdown text
+   * @returns {string} HTML fragment
+   */
+  markdownToHtml(markdown) {
+    const blocks = [];
+    const codeFence = /^```([\w+-]*)[^\n]*\n([\s\S]*?)^```[ \t]*$/gm;
+    
+    // Pull fenced code out first so its contents are never reformatted
+    const withoutCode = markdown.replace(codeFence, (match, language, code) => {
+      const languageClass = language ? ` class="language-${this.escapeHtml(language)}"` : '';
+      blocks.push(`<pre><code${languageClass}>${this.escapeHtml(code.replace(/\n$/, ''))}</code></pre>`);
+      return `\u0000${blocks.length - 1}\u0000`;
+    });
+    
+    const html = [];
+    let paragraph = [];
+    
+    const flushParagraph = () => {
+      if (paragraph.length > 0) {
+        html.push(`<p>${paragraph.map(line => this.formatInline(line)).join('<br>\n')}</p>`);
+        paragraph = [];
+      }
+    };
+    
+    for (const rawLine of withoutCode.split('\n')) {
+      const line = rawLine.trimEnd();
+      const codeBlock = line.trim().match(/^\u0000(\d+)\u0000$/);
+      const heading = line.match(/^(#{1,6})\s+(.+)$/);
+      
+      if (codeBlock) {
+        flushParagraph();
+        html.push(blocks[codeBlock[1]]);
+      } else if (heading) {
+        flushParagraph();
+        // Message headings are h2, so content headings start at h3
+        const level = Math.min(heading[1].length + 2, 6);
+        html.push(`<h${level}>${this.formatInline(heading[2])}</h${level}>`);
+      } else if (!line.trim()) {
+        flushParagraph();
+      } else {
+        paragraph.push(line);
+      }
+    }
+    flushParagraph();
+    
+    return html.join('\n    ');
+  }
+
+  /**
+   * Format inline Markdown (code spans and bold) on escaped text
+   * @private
+   */
+  formatInline(text) {
+    return this.escapeHtml(text)
+      .replace(/`([^`\n]+)`/g, '<code>$1</code>')
+      .replace(/\*\*([^*\n]+)\*\*/g, '<strong>$1</strong>');
+  }
+
+  /**
+   * Escape text for HTML
+   * @private
+   */
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Format a timestamp for headings
+   * @private
+   */
+  formatTimestamp(value) {
+    return new Date(value).toISOString().replace('T', ' ').substring(0, 16) + ' UTC';
+  }
+
+  /**
+   * Build a file name from the chat title and creation date
+   * @private
+   */
+  createFileStem(chat) {
+    const slug = (chat.title || 'chat')
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/[^\w\s-]/g, '')
+      .trim()
+      .replace(/[\s_-]+/g, '-')
+      .substring(0, 50) || 'chat';
+    const date = new Date(chat.createdAt).toISOString().substring(0, 10);
+    
+    return `${date}-${slug}`;
+  }
+}
+
+// Export a singleton instance
+export default new ExportService();
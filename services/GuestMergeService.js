@@ -0,0 +1,270 @@
+import mongoose from 'mongoose';
+import Chat from '../models/ChatModel.js';
+import LearningProgress from '../models/ProgressModel.js';
+import Flashcard from '../models/FlashcardModel.js';
+import PathShare from '../models/PathShareModel.js';
+
+// User IDs of guests who have not signed in yet
+const GUEST_ID_PREFIX = 'session:';
+
+// MongoDB error code for commands a standalone server does not support
+const ILLEGAL_OPERATION_CODE = 20;
+
+/**
+ * GuestMergeService - Class for moving a guest session's data to an account
+ * Chats, learning paths and their flashcards change owner in one transaction.
+ * Data the account already has (the same chat, the same path of a chat, the
+ * tutor thread of a step) is not copied twice: the guest's copy is dropped
+ * and references to it are pointed at the account's copy. Merging again
+ * finds nothing left to move.
+ */
+class GuestMergeService {
+  /**
+   * Check whether a user ID belongs to a guest session
+   * @param {string} userId - The user ID
+   * @returns {boolean} True for "session:" IDs
+   */
+  isGuestId(userId) {
+    return typeof userId === 'string' && userId.startsWith(GUEST_ID_PREFIX) && userId.length > GUEST_ID_PREFIX.length;
+  }
+
+  /**
+   * Move everything a guest session owns to an account
+   * @param {string} guestId - The guest's "session:" user ID
+   * @param {string} userId - The account that receives the data
+   * @returns {Promise<Object>} { guestId, userId, moved: { chats, learningPaths, flashcards }, duplicates: { chats, learningPaths } }
+   */
+  async mergeGuest(guestId, userId) {
+    try {
+      if (!this.isGuestId(guestId)) {
+        throw new Error(`Invalid merge: the source must be a guest session ("${GUEST_ID_PREFIX}..." user ID)`);
+      }
+
+      if (!userId || this.isGuestId(userId)) {
+        throw new Error('Invalid merge: sign in to an account before merging a guest session');
+      }
+
+      const result = await this.runInTransaction(session => this.moveData(guestId, userId, session));
+
+      return { guestId, userId, ...result };
+    } catch (error) {
+      console.error('Error in mergeGuest:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Run work in a transaction, or without one on a standalone server
+   * Without a transaction every step is safe to repeat, so a merge that
+   * stopped halfway is completed by merging again.
+   * @private
+   * @param {Function} work - async (session) => result
+   * @returns {Promise<any>} The work's result
+   */
+  async runInTransaction(work) {
+    const session = await mongoose.startSession();
+
+    try {
+      return await session.withTransaction(() => work(session));
+    } catch (error) {
+      if (error.code !== ILLEGAL_OPERATION_CODE) throw error;
+
+      console.warn('MongoDB transactions are not available (standalone server), merging without one');
+      return work(null);
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  /**
+   * Find duplicates, repoint references to them, drop them and move the rest
+   * @private
+   * @param {string} guestId - The guest's user ID
+   * @param {string} userId - The account's user ID
+   * @param {Object|null} session - MongoDB session of the transaction
+   * @returns {Promise<Object>} { moved, duplicates }
+   */
+  async moveData(guestId, userId, session) {
+    const guestChats = await Chat.find({ userId: guestId })
+      .select('title createdAt stepThread')
+      .session(session)
+      .lean();
+    const guestPaths = await LearningProgress.find({ userId: guestId })
+      .select('chatId title')
+      .session(session)
+      .lean();
+
+    const chatMap = await this.findDuplicateChats(guestChats, userId, session);
+    const pathMap = await this.findDuplicatePaths(guestPaths, chatMap, userId, session);
+    const { remapped, duplicates: duplicateThreads } = await this.findDuplicateThreads(guestChats, pathMap, userId, session);
+
+    // Point references at the account's copies before their guest copies go away
+    if (chatMap.size > 0) {
+      await LearningProgress.bulkWrite([...chatMap].map(([guestChatId, accountChatId]) => ({
+        updateMany: {
+          filter: { userId: guestId, chatId: guestChatId },
+          update: { $set: { chatId: accountChatId } },
+        },
+      })), { session });
+    }
+
+    if (remapped.length > 0) {
+      await Chat.bulkWrite(remapped.map(({ chatId, learningPathId }) => ({
+        updateOne: {
+          filter: { _id: chatId, userId: guestId },
+          update: { $set: { 'stepThread.learningPathId': learningPathId } },
+        },
+      })), { session });
+    }
+
+    const duplicateChatIds = [...chatMap.keys(), ...duplicateThreads];
+    const duplicatePathIds = [...pathMap.keys()];
+
+    if (duplicatePathIds.length > 0) {
+      await Flashcard.deleteMany({ userId: guestId, learningPathId: { $in: duplicatePathIds } }, { session });
+      await PathShare.deleteMany({ learningPathId: { $in: duplicatePathIds } }, { session });
+      await LearningProgress.deleteMany({ userId: guestId, _id: { $in: duplicatePathIds } }, { session });
+    }
+
+    if (duplicateChatIds.length > 0) {
+      await Chat.deleteMany({ userId: guestId, _id: { $in: duplicateChatIds } }, { session });
+    }
+
+    const owner = { $set: { userId } };
+    const flashcards = await Flashcard.updateMany({ userId: guestId }, owner, { session });
+    const learningPaths = await LearningProgress.updateMany({ userId: guestId }, owner, { session });
+    const chats = await Chat.updateMany({ userId: guestId }, owner, { session });
+
+    return {
+      moved: {
+        chats: chats.modifiedCount,
+        learningPaths: learningPaths.modifiedCount,
+        flashcards: flashcards.modifiedCount,
+      },
+      duplicates: {
+        chats: duplicateChatIds.length,
+        learningPaths: duplicatePathIds.length,
+      },
+    };
+  }
+
+  /**
+   * Match guest chats to account chats with the same title and creation time
+   * (an import of the same conversation). Tutor threads are matched separately.
+   * @private
+   * @param {Array} guestChats - The guest's chats
+   * @param {string} userId - The account's user ID
+   * @param {Object|null} session - MongoDB session
+   * @returns {Promise<Map>} Guest chat ID -> account chat ID
+   */
+  async findDuplicateChats(guestChats, userId, session) {
+    const candidates = guestChats.filter(chat => !chat.stepThread);
+    const matches = new Map();
+    if (candidates.length === 0) return matches;
+
+    const accountChats = await Chat.find({
+      userId,
+      stepThread: { $exists: false },
+      createdAt: { $in: candidates.map(chat => chat.createdAt) },
+    })
+      .select('title createdAt')
+      .session(session)
+      .lean();
+
+    const byKey = new Map(accountChats.map(chat => [this.chatKey(chat), chat._id]));
+
+    for (const chat of candidates) {
+      const accountChatId = byKey.get(this.chatKey(chat));
+      if (accountChatId) matches.set(String(chat._id), accountChatId);
+    }
+
+    return matches;
+  }
+
+  /**
+   * Match guest paths to account paths with the same title from the same chat
+   * @private
+   * @param {Array} guestPaths - The guest's learning paths
+   * @param {Map} chatMap - Guest chat ID -> account chat ID
+   * @param {string} userId - The account's user ID
+   * @param {Object|null} session - MongoDB session
+   * @returns {Promise<Map>} Guest path ID -> account path ID
+   */
+  async findDuplicatePaths(guestPaths, chatMap, userId, session) {
+    const candidates = guestPaths.filter(path => chatMap.has(String(path.chatId)));
+    const matches = new Map();
+    if (candidates.length === 0) return matches;
+
+    const accountPaths = await LearningProgress.find({
+      userId,
+      chatId: { $in: [...new Set(chatMap.values())] },
+    })
+      .select('chatId title')
+      .session(session)
+      .lean();
+
+    const byKey = new Map(accountPaths.map(path => [`${path.chatId}|${path.title}`, path._id]));
+
+    for (const path of candidates) {
+      const accountPathId = byKey.get(`${chatMap.get(String(path.chatId))}|${path.title}`);
+      if (accountPathId) matches.set(String(path._id), accountPathId);
+    }
+
+    return matches;
+  }
+
+  /**
+   * Find the guest tutor threads of duplicate paths: a thread is a duplicate
+   * when the account's copy of the path already has one for the step,
+   * otherwise it is moved over to the account's path
+   * @private
+   * @param {Array} guestChats - The guest's chats
+   * @param {Map} pathMap - Guest path ID -> account path ID
+   * @param {string} userId - The account's user ID
+   * @param {Object|null} session - MongoDB session
+   * @returns {Promise<Object>} { remapped: [{ chatId, learningPathId }], duplicates: [chatId] }
+   */
+  async findDuplicateThreads(guestChats, pathMap, userId, session) {
+    const threads = guestChats.filter(chat => chat.stepThread && pathMap.has(String(chat.stepThread.learningPathId)));
+    const remapped = [];
+    const duplicates = [];
+    if (threads.length === 0) return { remapped, duplicates };
+
+    const accountThreads = await Chat.find({
+      userId,
+      'stepThread.learningPathId': { $in: [...new Set(pathMap.values())] },
+    })
+      .select('stepThread.learningPathId stepThread.stepId')
+      .session(session)
+      .lean();
+
+    const existing = new Set(accountThreads.map(chat => `${chat.stepThread.learningPathId}|${chat.stepThread.stepId}`));
+
+    for (const chat of threads) {
+      const learningPathId = pathMap.get(String(chat.stepThread.learningPathId));
+      const key = `${learningPathId}|${chat.stepThread.stepId}`;
+
+      if (existing.has(key)) {
+        duplicates.push(String(chat._id));
+      } else {
+        remapped.push({ chatId: chat._id, learningPathId });
+        existing.add(key);
+      }
+    }
+
+    return { remapped, duplicates };
+  }
+
+  /**
+   * Identity of a chat for duplicate detection
+   * @private
+   * @param {Object} chat - Chat with title and createdAt
+   * @returns {string} Key
+   */
+  chatKey(chat) {
+    return `${new Date(chat.createdAt).getTime()}|${chat.title}`;
+  }
+}
+
+// Export a singleton instance
+export default new GuestMergeService();
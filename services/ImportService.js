@@ -0,0 +1,252 @@
+import mongoose from 'mongoose';
+import ChatService from './ChatService.js';
+import LearningService from './LearningService.js';
+import { JSON_EXPORT_FORMAT, JSON_EXPORT_VERSION } from './ExportService.js';
+
+// Import limits
+const MAX_IMPORT_MESSAGES = 2000;
+const MIN_LEARNING_PATH_STEPS = 3;
+
+/**
+ * ImportService - Class for importing conversations into the Chat collection
+ * Accepts our own JSON export (all branches) and the `oldChats` shape the
+ * frontend keeps for conversations started before login.
+ */
+class ImportService {
+  /**
+   * Import a conversation as a new chat
+   * @param {string} userId - Owner of the imported chat
+   * @param {Object|Array} data - JSON export object or oldChats array
+   * @param {Object} options - { title, createLearningPaths }
+   * @returns {Promise<Object>} { chat, learningPaths }
+   */
+  async importChat(userId, data, { title, createLearningPaths = false } = {}) {
+    try {
+      const parsed = Array.isArray(data)
+        ? this.parseOldChats(data)
+        : this.parseJsonExport(data);
+      
+      if (parsed.messages.length === 0) {
+        throw new Error('Invalid import: no messages to import');
+      }
+      
+      if (parsed.messages.length > MAX_IMPORT_MESSAGES) {
+        throw new Error(`Invalid import: at most ${MAX_IMPORT_MESSAGES} messages can be imported`);
+      }
+      
+      const firstUserMessage = parsed.messages.find(message => message.role === 'user');
+      const timestamps = parsed.messages.map(message => message.timestamp.getTime());
+      
+      const chat = new ChatService.model({
+        userId,
+        title: title || parsed.title || ChatService.createDefaultTitle(firstUserMessage?.content || 'Imported chat'),
+        messages: parsed.messages,
+        activeLeafId: parsed.activeLeafId,
+        pinned: parsed.pinned || false,
+        archived: parsed.archived || false,
+        createdAt: parsed.createdAt || new Date(Math.min(...timestamps)),
+        updatedAt: parsed.updatedAt || new Date(Math.max(...timestamps)),
+      });
+      
+      const savedChat = await chat.save();
+      
+      const learningPaths = createLearningPaths
+        ? await this.createLearningPaths(savedChat, userId)
+        : [];
+      
+      return {
+        chat: ChatService.toChatView(savedChat),
+        learningPaths,
+      };
+    } catch (error) {
+      console.error('Error in importChat:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Parse the `{ role, parts }` messages the frontend sends as oldChats
+   * parts may be a string or Gemini-style parts ([{ text }] or [string]).
+   * @private
+   * @param {Array} oldChats - Browser-side conversation
+   * @returns {Object} Parsed chat data with a single linear branch
+   */
+  parseOldChats(oldChats) {
+    const now = Date.now();
+    let parentId = null;
+    
+    const messages = oldChats.map((item, index) => {
+      const content = ChatService.partsToText(item?.parts ?? item?.content);
+      
+      if (!content) {
+        throw new Error(`Invalid import: message ${index} has no text`);
+      }
+      
+      const _id = new mongoose.Types.ObjectId();
+      const message = {
+        _id,
+        parentId,
+        role: item.role === 'user' ? 'user' : 'assistant',
+        content,
+        // Keep the original order even when timestamps are missing
+        timestamp: this.parseDate(item.timestamp || item.createdAt) || new Date(now - (oldChats.length - index)),
+      };
+      
+      parentId = _id;
+      return message;
+    });
+    
+    return { messages, activeLeafId: parentId };
+  }
+
+  /**
+   * Parse a chat produced by the JSON export
+   * @private
+   * @param {Object} data - Export object
+   * @returns {Object} Parsed chat data with every branch
+   */
+  parseJsonExport(data) {
+    if (data?.format !== JSON_EXPORT_FORMAT || !data.chat || !Array.isArray(data.chat.messages)) {
+      throw new Error('Invalid import: expected a chat JSON export or an oldChats array');
+    }
+    
+    if (data.version > JSON_EXPORT_VERSION) {
+      throw new Error(`Invalid import: export version ${data.version} is not supported`);
+    }
+    
+    // Message ids must be unique; every parent chain is checked below
+    const seenIds = new Set();
+    data.chat.messages.forEach((message, index) => {
+      const id = message?.id === undefined || message?.id === null ? '' : String(message.id);
+      if (!id) {
+        throw new Error(`Invalid import: message ${index} has no id`);
+      }
+      if (seenIds.has(id)) {
+        throw new Error(`Invalid import: message ${index} repeats the id ${id}`);
+      }
+      seenIds.add(id);
+    });
+    
+    // Fresh ids so importing the same export twice creates two independent chats
+    const idMap = new Map(
+      data.chat.messages.map(message => [String(message.id), new mongoose.Types.ObjectId()])
+    );
+    
+    const messages = data.chat.messages.map((message, index) => {
+      if (typeof message.content !== 'string' || !message.content) {
+        throw new Error(`Invalid import: message ${index} has no text`);
+      }
+      
+      if (!['user', 'assistant'].includes(message.role)) {
+        throw new Error(`Invalid import: message ${index} has an unknown role`);
+      }
+      
+      if (message.parentId && !idMap.has(String(message.parentId))) {
+        throw new Error(`Invalid import: message ${index} references a missing parent`);
+      }
+      
+      return {
+        _id: idMap.get(String(message.id)),
+        parentId: message.parentId ? idMap.get(String(message.parentId)) : null,
+        role: message.role,
+        content: message.content,
+        suggestions: Array.isArray(message.suggestions)
+          ? message.suggestions.filter(text => typeof text === 'string' && text).map(text => ({ text }))
+          : [],
+        timestamp: this.parseDate(message.timestamp) || new Date(),
+      };
+    });
+    
+    this.assertParentChainsEndAtRoot(messages);
+    
+    const lastId = messages[messages.length - 1]?._id;
+    
+    return {
+      title: typeof data.chat.title === 'string' ? data.chat.title : undefined,
+      messages,
+      activeLeafId: idMap.get(String(data.chat.activeLeafId)) || lastId,
+      pinned: !!data.chat.pinned,
+      archived: !!data.chat.archived,
+      createdAt: this.parseDate(data.chat.createdAt),
+      updatedAt: this.parseDate(data.chat.updatedAt),
+    };
+  }
+
+  /**
+   * Check that following parentId from any message reaches a root message
+   * A cycle would make branch walks loop forever.
+   * @private
+   * @param {Array} messages - Parsed messages with fresh ids
+   */
+  assertParentChainsEndAtRoot(messages) {
+    const parents = new Map(messages.map(message => [String(message._id), message.parentId ? String(message.parentId) : null]));
+    const rooted = new Set();
+    
+    messages.forEach((message, index) => {
+      const chain = [];
+      const onChain = new Set();
+      let id = String(message._id);
+      
+      while (id && !rooted.has(id)) {
+        if (onChain.has(id)) {
+          throw new Error(`Invalid import: message ${index} has a parent chain that never reaches a root message`);
+        }
+        onChain.add(id);
+        chain.push(id);
+        id = parents.get(id);
+      }
+      
+      chain.forEach(chainId => rooted.add(chainId));
+    });
+  }
+
+  /**
+   * Run step extraction over assistant replies on the active branch
+   * Only replies with at least MIN_LEARNING_PATH_STEPS steps become paths.
+   * @private
+   * @param {Object} chat - Saved chat document
+   * @param {string} userId - Owner of the paths
+   * @returns {Promise<Array>} Created learning paths
+   */
+  async createLearningPaths(chat, userId) {
+    const learningPaths = [];
+    const branch = ChatService.getActiveBranch(chat);
+    
+    for (let i = 0; i < branch.length; i++) {
+      const message = branch[i];
+      if (message.role !== 'assistant') continue;
+      
+      const steps = LearningService.extractLearningSteps(message.content);
+      if (steps.length < MIN_LEARNING_PATH_STEPS) continue;
+      
+      const question = branch[i - 1]?.role === 'user' ? branch[i - 1].content : chat.title;
+      const topic = question.match(/learning path for (.+?)\.\s/i)?.[1] || question;
+      
+      const learningPath = await LearningService.createLearningPath({
+        userId,
+        chatId: chat._id,
+        title: `Learning Path: ${topic.substring(0, 50)}`,
+        steps,
+        description: `Learning path for ${topic}`,
+        stepsSource: 'extracted',
+      });
+      
+      learningPaths.push(learningPath);
+    }
+    
+    return learningPaths;
+  }
+
+  /**
+   * Parse a date, returning null for missing or invalid values
+   * @private
+   */
+  parseDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+}
+
+// Export a singleton instance
+export default new ImportService();
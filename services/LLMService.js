@@ -0,0 +1,213 @@
+import Ajv from 'ajv';
+import GeminiProvider from './llm/GeminiProvider.js';
+import OpenAIProvider from './llm/OpenAIProvider.js';
+import MockProvider from './llm/MockProvider.js';
+import UsageService from './UsageService.js';
+import { ENDPOINT_DEFAULTS, getEndpointConfig } from './llm/config.js';
+import { estimateTokenCount, estimateMessagesTokenCount } from './llm/tokens.js';
+
+/**
+ * LLMService - Single entry point for all language model calls
+ * Resolves the configured provider for an endpoint and delegates to its adapter
+ * The tokens used by every call are recorded for usage reports and quotas.
+ */
+class LLMService {
+  /**
+   * Constructor for the LLM service
+   */
+  constructor() {
+    // Provider factories by name; instances are created lazily
+    this.factories = new Map([
+      ['gemini', () => new GeminiProvider()],
+      ['openai', () => new OpenAIProvider()],
+      ['mock', () => new MockProvider()],
+    ]);
+    this.providers = new Map();
+
+    // Compiled validators for structured output, cached per schema object
+    this.ajv = new Ajv({ allErrors: true });
+    this.validators = new WeakMap();
+  }
+
+  /**
+   * Register an additional provider adapter
+   * @param {String} name - Name used in *_LLM_PROVIDER variables
+   * @param {Function} factory - Returns a BaseProvider instance
+   */
+  registerProvider(name, factory) {
+    this.factories.set(name, factory);
+    this.providers.delete(name);
+  }
+
+  /**
+   * Get a provider adapter by name
+   * @param {String} name - Provider name
+   * @returns {BaseProvider} The provider instance
+   */
+  getProvider(name) {
+    if (!this.providers.has(name)) {
+      const factory = this.factories.get(name);
+      if (!factory) {
+        throw new Error(`Unknown LLM provider: ${name}`);
+      }
+      this.providers.set(name, factory());
+    }
+
+    return this.providers.get(name);
+  }
+
+  /**
+   * Resolve the configuration for an endpoint
+   * @param {String} endpoint - Endpoint name, e.g. 'chat' or 'explainStep'
+   * @param {Object} overrides - Config values that take precedence
+   * @returns {Object} Provider name, model and generation config
+   */
+  getEndpointConfig(endpoint, overrides = {}) {
+    return { ...getEndpointConfig(endpoint), ...overrides };
+  }
+
+  /**
+   * Generate a complete response for an endpoint
+   * @param {String} endpoint - Endpoint name
+   * @param {Array} messages - Provider-neutral messages ({ role, content })
+   * @param {Object} options - { userId, ...config overrides }; userId attributes the usage
+   * @returns {Promise<Object>} { text, model, provider, usage }
+   */
+  async generate(endpoint, messages, { userId, ...overrides } = {}) {
+    const config = this.getEndpointConfig(endpoint, overrides);
+    const result = await this.getProvider(config.provider).generate(messages, config);
+
+    this.recordUsage(endpoint, userId, config, result);
+    return { ...result, provider: config.provider };
+  }
+
+  /**
+   * Generate JSON that matches a schema
+   * The schema is passed to the provider (JSON mode / structured output) and
+   * the parsed result is validated again here, since not every provider
+   * enforces it.
+   * @param {String} endpoint - Endpoint name
+   * @param {Array} messages - Provider-neutral messages ({ role, content })
+   * @param {Object} schema - JSON Schema subset describing the output
+   * @param {Object} overrides - Optional config overrides (userId, responseSchemaName, ...)
+   * @returns {Promise<Object>} { data, model, provider, usage }
+   */
+  async generateJson(endpoint, messages, schema, overrides = {}) {
+    const completion = await this.generate(endpoint, messages, { ...overrides, responseSchema: schema });
+    const data = this.parseJson(completion.text);
+
+    if (!this.validators.has(schema)) {
+      this.validators.set(schema, this.ajv.compile(schema));
+    }
+
+    const validate = this.validators.get(schema);
+    if (!validate(data)) {
+      throw new Error(`Invalid structured output: ${this.ajv.errorsText(validate.errors)}`);
+    }
+
+    const { text, ...rest } = completion;
+    return { ...rest, data };
+  }
+
+  /**
+   * Parse model output as JSON, tolerating a surrounding ```json fence
+   * @private
+   * @param {String} text - Raw model output
+   * @returns {*} Parsed value
+   */
+  parseJson(text) {
+    const unfenced = (text || '').trim().replace(/^```(?:json)?\s*|\s*```$/g, '');
+
+    try {
+      return JSON.parse(unfenced);
+    } catch (error) {
+      throw new Error(`Invalid structured output: ${error.message}`);
+    }
+  }
+
+  /**
+   * Stream a response for an endpoint
+   * @param {String} endpoint - Endpoint name
+   * @param {Array} messages - Provider-neutral messages ({ role, content })
+   * @param {Function} onToken - Called with every text chunk
+   * @param {Object} options - { signal, userId, ...config overrides }
+   * @returns {Promise<Object>} { text, model, provider, usage } once the stream ends
+   */
+  async stream(endpoint, messages, onToken, { signal, userId, ...overrides } = {}) {
+    const config = this.getEndpointConfig(endpoint, overrides);
+    let partialText = '';
+    let result;
+
+    try {
+      result = await this.getProvider(config.provider).stream(messages, config, token => {
+        partialText += token;
+        onToken(token);
+      }, signal);
+    } catch (error) {
+      // The provider has already spent tokens on a stream the client cancelled
+      // or that broke off, but never reported them: charge an estimate
+      if (signal?.aborted || partialText) {
+        this.recordUsage(endpoint, userId, config, { usage: this.estimateUsage(messages, partialText) });
+      }
+      throw error;
+    }
+
+    this.recordUsage(endpoint, userId, config, result);
+    return { ...result, provider: config.provider };
+  }
+
+  /**
+   * Estimate the usage of a call from its prompt and the text received so far
+   * @private
+   * @param {Array} messages - Provider-neutral messages
+   * @param {String} text - Generated text
+   * @returns {Object} { promptTokens, completionTokens, totalTokens }
+   */
+  estimateUsage(messages, text) {
+    const promptTokens = estimateMessagesTokenCount(messages);
+    const completionTokens = estimateTokenCount(text);
+
+    return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+  }
+
+  /**
+   * Record the tokens of a finished or cancelled call in the background
+   * @private
+   * @param {String} endpoint - Endpoint name
+   * @param {String} userId - User the call was made for (may be empty)
+   * @param {Object} config - Resolved endpoint config
+   * @param {Object} result - Provider result ({ model, usage })
+   */
+  recordUsage(endpoint, userId, config, result) {
+    UsageService.record({
+      userId,
+      endpoint,
+      provider: config.provider,
+      model: result.model || config.model,
+      usage: result.usage,
+    });
+  }
+
+  /**
+   * Describe the configuration of every endpoint (without secrets)
+   * @returns {Object} Endpoint name to { provider, model, configured }
+   */
+  describe() {
+    return Object.keys(ENDPOINT_DEFAULTS).reduce((summary, endpoint) => {
+      const { provider, model } = this.getEndpointConfig(endpoint);
+      let configured = false;
+
+      try {
+        configured = this.getProvider(provider).isConfigured();
+      } catch (error) {
+        configured = false;
+      }
+
+      summary[endpoint] = { provider, model, configured };
+      return summary;
+    }, {});
+  }
+}
+
+// Export a singleton instance
+export default new LLMService();
@@ -0,0 +1,94 @@
+import PromptService from './PromptService.js';
+
+// Language of replies when neither the request, the chat nor the user chose one
+const FALLBACK_LANGUAGE = 'en';
+
+// Language codes are short BCP 47 tags such as "es", "de" or "pt-BR"
+const LANGUAGE_CODE_PATTERN = /^[a-z]{2,3}(?:-[a-z0-9]{2,8})*$/i;
+
+/**
+ * LanguageService - Class for validating reply languages and building the
+ * instruction that asks the model to answer in them
+ * English replies need no instruction, so English prompts stay unchanged.
+ */
+class LanguageService {
+  /**
+   * Get the configured default language
+   * @returns {String} Canonical language code
+   */
+  getDefaultLanguage() {
+    try {
+      return this.normalize(process.env.DEFAULT_LANGUAGE || FALLBACK_LANGUAGE);
+    } catch (error) {
+      return FALLBACK_LANGUAGE;
+    }
+  }
+
+  /**
+   * Validate a language code and return its canonical form
+   * @param {String} language - Language code from a request or the database
+   * @returns {String} Canonical code, e.g. "pt-BR"
+   */
+  normalize(language) {
+    const code = typeof language === 'string' ? language.trim().replace(/_/g, '-') : '';
+
+    if (!LANGUAGE_CODE_PATTERN.test(code)) {
+      throw new Error(`Invalid language: expected a language code such as "es" or "pt-BR"`);
+    }
+
+    try {
+      return Intl.getCanonicalLocales(code)[0];
+    } catch (error) {
+      throw new Error(`Invalid language: "${code}" is not a valid language code`);
+    }
+  }
+
+  /**
+   * Get the English name of a language
+   * @param {String} language - Canonical language code
+   * @returns {String} e.g. "Spanish" or "Brazilian Portuguese"
+   */
+  getName(language) {
+    try {
+      return new Intl.DisplayNames(['en'], { type: 'language' }).of(language) || language;
+    } catch (error) {
+      return language;
+    }
+  }
+
+  /**
+   * Check whether replies in a language need no extra instruction
+   * @param {String} language - Canonical language code
+   * @returns {Boolean} True for English
+   */
+  isEnglish(language) {
+    return !language || language.split('-')[0].toLowerCase() === 'en';
+  }
+
+  /**
+   * Render the instruction asking for replies in a language
+   * @param {String} language - Canonical language code
+   * @returns {Object|null} Rendered prompt ({ text, id, version }), or null for English
+   */
+  getInstruction(language) {
+    if (this.isEnglish(language)) return null;
+
+    return PromptService.render('language-instruction', {
+      language,
+      languageName: this.getName(language),
+    });
+  }
+
+  /**
+   * Build the system messages that set the reply language
+   * @param {String} language - Canonical language code
+   * @returns {Array} Zero or one provider-neutral system message
+   */
+  getSystemMessages(language) {
+    const instruction = this.getInstruction(language);
+    return instruction ? [{ role: 'system', content: instruction.text }] : [];
+  }
+}
+
+// Export a singleton instance
+export default new LanguageService();
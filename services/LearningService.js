@@ -1,5 +1,94 @@
 import BaseService from './BaseService.js';
 import LearningProgress from '../models/ProgressModel.js';
+import Chat from '../models/ChatModel.js';
+import Flashcard from '../models/FlashcardModel.js';
+import PathShare from '../models/PathShareModel.js';
+import LLMService from './LLMService.js';
+import ExplanationService from './ExplanationService.js';
+import QuizService from './QuizService.js';
+import PromptService from './PromptService.js';
+import LanguageService from './LanguageService.js';
+import UserPreferenceService from './UserPreferenceService.js';
+import UserProfileService from './UserProfileService.js';
+
+// Values allowed by the learning step schema
+const STEP_CATEGORIES = ['prerequisite', 'core', 'practice', 'advanced'];
+const RESOURCE_TYPES = ['documentation', 'tutorial', 'course', 'book', 'video', 'article', 'project', 'other'];
+const DIFFICULTIES = ['beginner', 'intermediate', 'advanced'];
+
+// Words that introduce a numbered step heading, in English, Spanish, German,
+// French, Italian, Portuguese and Dutch ("Step 1", "Paso 1", "Schritt 1", ...)
+const STEP_WORDS = [
+  'Step', 'Phase', 'Part', 'Level', 'Stage',
+  'Paso', 'Fase', 'Etapa', 'Parte', 'Nivel', 'Nível',
+  'Schritt', 'Teil', 'Stufe',
+  'Étape', 'Etape', 'Partie', 'Niveau',
+  'Passo', 'Livello',
+  'Stap', 'Deel',
+].join('|');
+
+// Title keywords for each non-core category, lowercase and without accents.
+// Stems are kept long enough not to match inside unrelated words.
+const CATEGORY_KEYWORDS = {
+  prerequisite: [
+    'prerequisite', 'before', 'foundation',
+    'requisito', 'prerrequisito', 'fundamentos', 'voraussetzung', 'grundlagen',
+    'prerequis', 'fondamentaux', 'fondamenti', 'voorkennis',
+  ],
+  practice: [
+    'practice', 'project', 'exercise',
+    'practica', 'proyecto', 'ejercicio', 'praxis', 'projekt', 'ubung',
+    'pratique', 'projet', 'exercice', 'pratica', 'projeto', 'progetto', 'exercicio', 'esercizi',
+    'oefen', 'praktijk',
+  ],
+  advanced: [
+    'advanced', 'expert', 'complex',
+    'avanzad', 'avancad', 'complej', 'fortgeschritten', 'komplex',
+    'avance', 'avanzat', 'esperto', 'compless', 'gevorderd', 'geavanceerd',
+  ],
+};
+
+// JSON Schema for structured learning path output
+const LEARNING_PATH_SCHEMA = {
+  type: 'object',
+  properties: {
+    title: { type: 'string', description: 'Short title of the learning path' },
+    description: { type: 'string', description: 'One or two sentences on what the learner will achieve' },
+    difficulty: { type: 'string', enum: DIFFICULTIES },
+    steps: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        properties: {
+          title: { type: 'string', description: 'Concise step title' },
+          description: { type: 'string', description: 'What to learn or build in this step' },
+          category: { type: 'string', enum: STEP_CATEGORIES },
+          estimatedHours: { type: 'number', description: 'Hours a learner needs for this step' },
+          resources: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                title: { type: 'string' },
+                url: { type: 'string' },
+                type: { type: 'string', enum: RESOURCE_TYPES },
+              },
+              required: ['title', 'type'],
+            },
+          },
+          prerequisites: {
+            type: 'array',
+            description: '1-based numbers of earlier steps this step builds on',
+            items: { type: 'integer' },
+          },
+        },
+        required: ['title', 'description', 'category', 'estimatedHours'],
+      },
+    },
+  },
+  required: ['title', 'steps'],
+};
 
 /**
  * LearningService - Class for handling learning path operations
@@ -38,55 +127,26 @@ class LearningService extends BaseService {
   }
 
   /**
-   * Get a specific learning path by ID with support for multiple ID lookup methods
+   * Get a learning path owned by a user
+   * Paths of other users are reported as not found, so path IDs can't be probed.
    * @param {string} progressId - The learning path ID
    * @param {string} userId - The user ID (for authorization)
    * @returns {Promise} The learning path
    */
   async getLearningPathById(progressId, userId) {
     try {
-      // Strategy pattern for looking up learning paths
-      const lookupStrategies = [
-        // Strategy 1: Look up by both progressId and userId (strict match)
-        async () => await this.model.findOne({ _id: progressId, userId }),
-        
-        // Strategy 2: If userId starts with "session:", try finding by ID only
-        async () => {
-          if (userId && userId.startsWith("session:")) {
-            console.log("Session-based userId didn't match, trying to find by ID only");
-            return await this.model.findById(progressId);
-          }
-          return null;
-        },
-        
-        // Strategy 3: Last resort - just find by ID
-        async () => {
-          console.log("Attempting to find learning path by ID only as fallback");
-          const path = await this.model.findById(progressId);
-          
-          // Update the userId if found, for easier future access
-          if (path && userId) {
-            console.log("Updating learning path userId for future access");
-            path.userId = userId;
-            await path.save();
-          }
-          return path;
-        }
-      ];
-      
-      // Try each strategy in sequence until one succeeds
-      let learningPath = null;
-      for (const strategy of lookupStrategies) {
-        learningPath = await strategy();
-        if (learningPath) break;
-      }
+      // Without a user there is no owner to match
+      const learningPath = userId ? await this.model.findById(progressId) : null;
       
-      if (!learningPath) {
+      if (!learningPath || learningPath.userId !== userId) {
         throw new Error('Learning path not found');
       }
       
       return learningPath;
     } catch (error) {
+      if (error.name === 'CastError') {
+        throw new Error('Learning path not found');
+      }
       console.error('Error in getLearningPathById:', error);
       throw error;
     }
@@ -143,13 +203,22 @@ class LearningService extends BaseService {
         stepId: step.id,
         title: step.title,
         completed: false,
-        category: step.category || 'core'
+        category: step.category || 'core',
+        description: step.description,
+        estimatedHours: step.estimatedHours,
+        resources: step.resources || [],
+        prerequisites: step.prerequisites || []
       })),
       totalSteps: steps.length,
       completedSteps: 0,
       description: pathData.description || '',
       difficulty: pathData.difficulty || 'intermediate',
       estimatedTimeToComplete: pathData.estimatedTimeToComplete || '',
+      stepsSource: pathData.stepsSource || 'manual',
+      promptTemplates: pathData.promptTemplates || [],
+      language: pathData.language,
+      requireQuizToComplete: pathData.requireQuizToComplete === true,
+      quizPassingScore: pathData.quizPassingScore,
       createdAt: new Date(),
       updatedAt: new Date(),
       lastAccessedAt: new Date(),
@@ -176,6 +245,12 @@ class LearningService extends BaseService {
         throw new Error('Step not found in learning path');
       }
       
+      // Paths can require a passed quiz before a step counts as done
+      const step = learningPath.steps[stepIndex];
+      if (completed && !step.completed && learningPath.requireQuizToComplete && !step.quizPassedAt) {
+        throw new Error('Step requires a passed quiz');
+      }
+      
       // Update step completion using our completion manager
       this.manageStepCompletion(learningPath, stepIndex, completed);
       
@@ -252,6 +327,431 @@ class LearningService extends BaseService {
     }
   }
   
+  /**
+   * Explain a step with its learning path as context and store the explanation on the step
+   * An existing explanation is returned as is unless regenerate is set or it is
+   * in another language, in which case it moves to previousExplanations.
+   * @param {string} progressId - Learning path ID
+   * @param {string} stepId - Step ID to explain
+   * @param {string} userId - User ID for authorization
+   * @param {object} options - { regenerate, language }
+   * @returns {Promise<object>} { step, generated }
+   */
+  async explainStep(progressId, stepId, userId, { regenerate = false, language } = {}) {
+    try {
+      const learningPath = await this.getLearningPathById(progressId, userId);
+      
+      const stepIndex = learningPath.steps.findIndex(s => s.stepId === stepId);
+      
+      if (stepIndex === -1) {
+        throw new Error('Step not found in learning path');
+      }
+      
+      const step = learningPath.steps[stepIndex];
+      const replyLanguage = await UserPreferenceService.resolveLanguage(userId, language, learningPath.language);
+      
+      // A stored explanation in another language counts as missing
+      const storedLanguage = step.explanation?.language || LanguageService.getDefaultLanguage();
+      if (step.explanation && !regenerate && storedLanguage === replyLanguage) {
+        return { step, generated: false };
+      }
+      
+      const { content, model, promptTemplates } = await ExplanationService.explainPathStep(
+        learningPath,
+        stepIndex,
+        replyLanguage
+      );
+      
+      if (step.explanation) {
+        step.previousExplanations.push(step.explanation.toObject());
+      }
+      step.explanation = { content, model, promptTemplates, language: replyLanguage, createdAt: new Date() };
+      
+      // Update timestamps
+      learningPath.updatedAt = new Date();
+      learningPath.lastAccessedAt = new Date();
+      
+      await learningPath.save();
+      return { step: learningPath.steps[stepIndex], generated: true };
+    } catch (error) {
+      console.error('Error in explainStep:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Generate a new quiz for a step, replacing the current one
+   * Earlier attempts are kept.
+   * @param {string} progressId - Learning path ID
+   * @param {string} stepId - Step ID to quiz
+   * @param {string} userId - User ID for authorization
+   * @param {object} options - { questionCount }
+   * @returns {Promise<object>} The quiz without answers
+   */
+  async createStepQuiz(progressId, stepId, userId, { questionCount } = {}) {
+    try {
+      const learningPath = await this.getLearningPathById(progressId, userId);
+      
+      const stepIndex = learningPath.steps.findIndex(s => s.stepId === stepId);
+      
+      if (stepIndex === -1) {
+        throw new Error('Step not found in learning path');
+      }
+      
+      const { questions, model, promptTemplates } = await QuizService.generateQuiz(learningPath, stepIndex, questionCount);
+      
+      const step = learningPath.steps[stepIndex];
+      step.quiz = { questions, model, promptTemplates, createdAt: new Date() };
+      
+      // Update timestamps
+      learningPath.updatedAt = new Date();
+      learningPath.lastAccessedAt = new Date();
+      
+      await learningPath.save();
+      return QuizService.toClientQuiz(learningPath.steps[stepIndex].quiz);
+    } catch (error) {
+      console.error('Error in createStepQuiz:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Grade answers to a step's current quiz and store the attempt
+   * Passing a quiz on a path that requires quizzes also completes the step.
+   * @param {string} progressId - Learning path ID
+   * @param {string} stepId - Step ID
+   * @param {string} userId - User ID for authorization
+   * @param {string} quizId - The quiz the answers belong to
+   * @param {Array} answers - [{ questionId, answer }]
+   * @returns {Promise<object>} { attempt, learningPath }
+   */
+  async submitStepQuiz(progressId, stepId, userId, quizId, answers) {
+    try {
+      const learningPath = await this.getLearningPathById(progressId, userId);
+      
+      const stepIndex = learningPath.steps.findIndex(s => s.stepId === stepId);
+      
+      if (stepIndex === -1) {
+        throw new Error('Step not found in learning path');
+      }
+      
+      const step = learningPath.steps[stepIndex];
+      if (!step.quiz) {
+        throw new Error('Quiz not found');
+      }
+      
+      // Answers to a quiz that has since been regenerated can't be graded
+      if (quizId && String(quizId) !== String(step.quiz._id)) {
+        throw new Error('Invalid quiz: a newer quiz has been generated for this step');
+      }
+      
+      // One attempt per quiz, claimed before grading so concurrent submissions can't both be graded
+      const gradedAt = new Date();
+      const alreadyGraded = step.quiz.gradedAt ||
+        step.quizAttempts.some(previous => String(previous.quizId) === String(step.quiz._id));
+      const claim = alreadyGraded ? { modifiedCount: 0 } : await this.model.updateOne(
+        { _id: learningPath._id, steps: { $elemMatch: { stepId, 'quiz._id': step.quiz._id, 'quiz.gradedAt': null } } },
+        { $set: { 'steps.$.quiz.gradedAt': gradedAt } }
+      );
+      if (claim.modifiedCount === 0) {
+        throw new Error('Invalid quiz: this quiz has already been graded, generate a new quiz to try again');
+      }
+      step.quiz.gradedAt = gradedAt;
+      
+      let attempt;
+      try {
+        attempt = await QuizService.gradeQuiz(step.quiz, answers, learningPath.quizPassingScore ?? 0.7, {
+          userId: learningPath.userId,
+        });
+      } catch (error) {
+        await this.model.updateOne(
+          { _id: learningPath._id, 'steps.stepId': stepId },
+          { $unset: { 'steps.$.quiz.gradedAt': 1 } }
+        );
+        throw error;
+      }
+      step.quizAttempts.push({ ...attempt, submittedAt: new Date() });
+      
+      if (attempt.passed) {
+        step.quizPassedAt = step.quizPassedAt || new Date();
+        
+        if (learningPath.requireQuizToComplete && !step.completed) {
+          this.manageStepCompletion(learningPath, stepIndex, true);
+        }
+      }
+      
+      // Update timestamps
+      learningPath.updatedAt = new Date();
+      learningPath.lastAccessedAt = new Date();
+      
+      await learningPath.save();
+      
+      const savedStep = learningPath.steps[stepIndex];
+      return {
+        attempt: QuizService.toClientAttempt(savedStep.quiz, savedStep.quizAttempts[savedStep.quizAttempts.length - 1]),
+        learningPath,
+      };
+    } catch (error) {
+      console.error('Error in submitStepQuiz:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update the quiz settings of a learning path
+   * @param {string} progressId - Learning path ID
+   * @param {string} userId - User ID for authorization
+   * @param {object} settings - { requireQuizToComplete, quizPassingScore }
+   * @returns {Promise} Updated learning path
+   */
+  async updateQuizSettings(progressId, userId, { requireQuizToComplete, quizPassingScore }) {
+    try {
+      this.validateQuizSettings({ requireQuizToComplete, quizPassingScore });
+      
+      const learningPath = await this.getLearningPathById(progressId, userId);
+      
+      if (requireQuizToComplete !== undefined) learningPath.requireQuizToComplete = requireQuizToComplete;
+      if (quizPassingScore !== undefined) learningPath.quizPassingScore = quizPassingScore;
+      
+      learningPath.updatedAt = new Date();
+      
+      await learningPath.save();
+      return learningPath;
+    } catch (error) {
+      console.error('Error in updateQuizSettings:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check quiz settings sent by a client (unset values are allowed)
+   * @param {object} settings - { requireQuizToComplete, quizPassingScore }
+   */
+  validateQuizSettings({ requireQuizToComplete, quizPassingScore }) {
+    if (requireQuizToComplete !== undefined && typeof requireQuizToComplete !== 'boolean') {
+      throw new Error('Invalid requireQuizToComplete: expected a boolean');
+    }
+    
+    if (quizPassingScore !== undefined &&
+        (typeof quizPassingScore !== 'number' || quizPassingScore < 0 || quizPassingScore > 1)) {
+      throw new Error('Invalid quizPassingScore: expected a number between 0 and 1');
+    }
+  }
+
+  /**
+   * Copy a learning path for a user to work through themselves
+   * Steps keep their text and resources; completion, notes, explanations,
+   * quizzes and timestamps start over. The fork has no chat, since the
+   * conversation belongs to the original's owner.
+   * @param {Object} source - The learning path document to copy (access already checked)
+   * @param {string} userId - The user who gets the copy
+   * @returns {Promise} The new learning path
+   */
+  async forkLearningPath(source, userId) {
+    try {
+      const now = new Date();
+      
+      const fork = await this.create({
+        userId,
+        forkedFrom: source._id,
+        title: source.title,
+        description: source.description,
+        steps: source.steps.map(step => ({
+          stepId: step.stepId,
+          title: step.title,
+          completed: false,
+          category: step.category,
+          description: step.description,
+          estimatedHours: step.estimatedHours,
+          resources: step.resources,
+          prerequisites: step.prerequisites,
+        })),
+        totalSteps: source.steps.length,
+        completedSteps: 0,
+        isCompleted: false,
+        difficulty: source.difficulty,
+        estimatedTimeToComplete: source.estimatedTimeToComplete,
+        stepsSource: source.stepsSource,
+        promptTemplates: source.promptTemplates,
+        language: source.language,
+        requireQuizToComplete: source.requireQuizToComplete,
+        quizPassingScore: source.quizPassingScore,
+        createdAt: now,
+        updatedAt: now,
+        lastAccessedAt: now,
+      });
+      
+      await this.model.updateOne({ _id: source._id }, { $inc: { forkCount: 1 } });
+      
+      return fork;
+    } catch (error) {
+      console.error('Error in forkLearningPath:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete all learning paths created from a chat
+   * @param {string} chatId - The chat ID
+   * @param {string} userId - The owner of the chat
+   * @returns {Promise<number>} Number of deleted paths
+   */
+  async deleteLearningPathsForChat(chatId, userId) {
+    try {
+      const paths = await this.model.find({ chatId, userId }).select('_id');
+      const pathIds = paths.map(path => path._id);
+      
+      const result = await this.model.deleteMany({ _id: { $in: pathIds } });
+      await this.deletePathData(pathIds);
+      return result.deletedCount;
+    } catch (error) {
+      console.error('Error in deleteLearningPathsForChat:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Keep learning paths whose chat is being deleted, marking them as detached
+   * The chatId is kept because the schema requires it; chatDeletedAt tells
+   * clients not to link back to the conversation.
+   * @param {string} chatId - The chat ID
+   * @param {string} userId - The owner of the chat
+   * @returns {Promise<number>} Number of detached paths
+   */
+  async detachLearningPathsFromChat(chatId, userId) {
+    try {
+      const result = await this.model.updateMany(
+        { chatId, userId },
+        { $set: { chatDeletedAt: new Date() } }
+      );
+      return result.modifiedCount;
+    } catch (error) {
+      console.error('Error in detachLearningPathsFromChat:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Create a learning path for a chat answer
+   * Steps come from schema-validated structured output; the regex extractor
+   * only runs when structured generation fails.
+   * @param {object} options - { userId, chatId, topic, answer, promptTemplates, language, profile }
+   *   profile: the learner profile, which sets the difficulty and the time estimate
+   * @returns {Promise} The created learning path, or null when no steps were found
+   */
+  async createLearningPathFromAnswer({ userId, chatId, topic, answer, promptTemplates = [], language, profile = null }) {
+    try {
+      const { promptTemplate, ...structured } = await this.generateStructuredPath(topic, answer, { userId, language, profile });
+      
+      return await this.createLearningPath({
+        userId,
+        chatId,
+        ...structured,
+        stepsSource: 'structured',
+        promptTemplates: [...promptTemplates, promptTemplate],
+        language,
+      });
+    } catch (error) {
+      console.error('Structured learning path generation failed, extracting steps instead:', error.message);
+    }
+    
+    const steps = this.extractLearningSteps(answer);
+    if (steps.length === 0) return null;
+    
+    return this.createLearningPath({
+      userId,
+      chatId,
+      title: `Learning Path: ${topic.substring(0, 50)}`,
+      steps,
+      description: `Learning path for ${topic}`,
+      difficulty: profile?.experienceLevel,
+      stepsSource: 'extracted',
+      promptTemplates,
+      language,
+    });
+  }
+
+  /**
+   * Ask the model for the learning path as JSON matching LEARNING_PATH_SCHEMA
+   * @param {string} topic - What the learner wants to learn
+   * @param {string} answer - The prose learning path shown in the chat
+   * @param {object} options - { userId, language, profile }
+   *   language: language for titles and descriptions
+   *   profile: learner profile (may be null), used for hour estimates
+   * @returns {Promise<object>} Path data ready for createLearningPath, plus the promptTemplate used
+   */
+  async generateStructuredPath(topic, answer, { userId, language, profile = null } = {}) {
+    const prompt = PromptService.render('learning-path-structure', { topic, answer });
+    
+    const { data } = await LLMService.generateJson(
+      'learningPath',
+      [
+        ...UserProfileService.getSystemMessages(profile),
+        ...LanguageService.getSystemMessages(language),
+        { role: 'user', content: prompt.text },
+      ],
+      LEARNING_PATH_SCHEMA,
+      { responseSchemaName: 'learning_path', userId }
+    );
+    
+    return {
+      ...this.formatStructuredPath(data, topic, profile),
+      promptTemplate: PromptService.toRef(prompt),
+    };
+  }
+
+  /**
+   * Map validated structured output to createLearningPath input
+   * @private
+   * @param {object} data - Output matching LEARNING_PATH_SCHEMA
+   * @param {string} topic - Fallback for the title
+   * @param {object} profile - Learner profile (may be null)
+   * @returns {object} Path data
+   */
+  formatStructuredPath(data, topic, profile = null) {
+    const steps = data.steps.map((step, index) => ({
+      id: `step-${index + 1}`,
+      title: step.title.trim(),
+      description: step.description.trim(),
+      category: step.category,
+      estimatedHours: Math.max(0, step.estimatedHours),
+      resources: (step.resources || []).map(resource => ({
+        title: resource.title,
+        url: resource.url || undefined,
+        type: resource.type,
+      })),
+      // Only keep references to earlier steps
+      prerequisites: [...new Set(step.prerequisites || [])]
+        .filter(number => number >= 1 && number <= index)
+        .map(number => `step-${number}`),
+    }));
+    
+    const totalHours = Math.round(steps.reduce((total, step) => total + step.estimatedHours, 0));
+    
+    return {
+      title: data.title?.trim() || `Learning Path: ${topic.substring(0, 50)}`,
+      description: data.description?.trim() || `Learning path for ${topic}`,
+      difficulty: data.difficulty || profile?.experienceLevel,
+      estimatedTimeToComplete: this.formatTimeToComplete(totalHours, profile?.weeklyHours),
+      steps,
+    };
+  }
+
+  /**
+   * Describe how long a path takes, in weeks when the learner's weekly hours are known
+   * @private
+   * @param {number} totalHours - Hours for all steps
+   * @param {number} weeklyHours - Hours a week the learner has (optional)
+   * @returns {string} e.g. "40 hours (about 8 weeks at 5 hours a week)"
+   */
+  formatTimeToComplete(totalHours, weeklyHours) {
+    if (!(totalHours > 0)) return '';
+    if (!(weeklyHours > 0)) return `${totalHours} hours`;
+    
+    const weeks = Math.max(1, Math.ceil(totalHours / weeklyHours));
+    return `${totalHours} hours (about ${weeks} ${weeks === 1 ? 'week' : 'weeks'} at ${weeklyHours} hours a week)`;
+  }
+
   /**
    * Extract learning steps from text content
    * @param {string} text - Text content to analyze
@@ -263,11 +763,12 @@ class LearningService extends BaseService {
     const steps = [];
     let stepCount = 0;
     
-    // Match patterns like "1. Step title" or "Step 1: title"
+    // Match patterns like "1. Step title", "Step 1: title" or "Paso 1: title"
+    // A letter id ("Step A") needs a separator after it so "Step by step" is not a step
     const stepPatterns = [
-      /(?:^|\n)(?:Step|Phase|Part|Level|Stage)[\s:-]+(\d+|[A-Z])[\s:-]*([^\n]+)/gi,
+      new RegExp(`(?:^|\\n)(?:${STEP_WORDS})[\\s:-]+(\\d+|[A-Z](?=[\\s:.-]))[\\s:.-]*([^\\n]+)`, 'gi'),
       /(?:^|\n)(\d+)[\.:\)\-]\s+([^\n]+)/gi,
-      /(?:^|\n)#{1,3}\s+(?:(?:Step|Phase|Part|Stage|Level)[\s:-]+)?([^\n]+)/gi,
+      new RegExp(`(?:^|\\n)#{1,3}\\s+(?:(?:${STEP_WORDS})[\\s:-]+(?:\\d+[\\s:.-]+)?)?([^\\n]+)`, 'gi'),
     ];
     
     for (const pattern of stepPatterns) {
@@ -304,22 +805,20 @@ class LearningService extends BaseService {
   /**
    * Determine the category of a step from its title
    * @private
-   * @param {String} title - Step title
+   * @param {String} title - Step title, in any supported language
    * @returns {String} Category name
    */
   determineCategoryFromTitle(title) {
-    let category = 'core';
-    const lowerTitle = title.toLowerCase();
+    // Compare without accents so "Práctica" and "Übung" match their keywords
+    const lowerTitle = title.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
     
-    if (lowerTitle.includes('prerequisite') || lowerTitle.includes('before') || lowerTitle.includes('foundation')) {
-      category = 'prerequisite';
-    } else if (lowerTitle.includes('practice') || lowerTitle.includes('project') || lowerTitle.includes('exercise')) {
-      category = 'practice';
-    } else if (lowerTitle.includes('advanced') || lowerTitle.includes('expert') || lowerTitle.includes('complex')) {
-      category = 'advanced';
+    for (const [category, keywords] of Object.entries(CATEGORY_KEYWORDS)) {
+      if (keywords.some(keyword => lowerTitle.includes(keyword))) {
+        return category;
+      }
     }
     
-    return category;
+    return 'core';
   }
   
   /**
@@ -354,12 +853,30 @@ class LearningService extends BaseService {
       await this.getLearningPathById(progressId, userId);
       
       // Use the base class delete method
-      return await this.delete(progressId);
+      const result = await this.delete(progressId);
+      await this.deletePathData([progressId]);
+      return result;
     } catch (error) {
       console.error('Error in deleteLearningPath:', error);
       throw error;
     }
   }
+
+  /**
+   * Delete the step tutor threads, flashcards and share links of learning paths
+   * @private
+   * @param {Array} pathIds - Learning path IDs
+   * @returns {Promise<void>}
+   */
+  async deletePathData(pathIds) {
+    if (pathIds.length === 0) return;
+    
+    await Promise.all([
+      Chat.deleteMany({ 'stepThread.learningPathId': { $in: pathIds } }),
+      Flashcard.deleteMany({ learningPathId: { $in: pathIds } }),
+      PathShare.deleteMany({ learningPathId: { $in: pathIds } }),
+    ]);
+  }
 }
 
 // Export a singleton instance
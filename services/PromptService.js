@@ -0,0 +1,248 @@
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+// Templates ship in <repo>/prompts unless PROMPT_TEMPLATES_DIR points elsewhere
+const DEFAULT_TEMPLATES_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'prompts');
+
+// <template-id>/v<version>.txt
+const TEMPLATE_ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+const VERSION_FILE_PATTERN = /^v(\d+)\.txt$/;
+
+// {{variable}} placeholders
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+
+/**
+ * PromptService - Registry of named, versioned prompt templates
+ * Templates are read from disk once and kept in memory until reload() is
+ * called. The active version of a template is its highest non-draft version.
+ */
+class PromptService {
+  /**
+   * Constructor for the prompt service
+   */
+  constructor() {
+    this.templates = null;
+  }
+
+  /**
+   * Get the directory templates are read from
+   * @returns {String} Absolute path
+   */
+  getTemplatesDir() {
+    return process.env.PROMPT_TEMPLATES_DIR || DEFAULT_TEMPLATES_DIR;
+  }
+
+  /**
+   * Read every template from disk, replacing the cached registry
+   * @returns {Object} { templates, versions } counts
+   */
+  reload() {
+    const dir = this.getTemplatesDir();
+    const templates = new Map();
+
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (!entry.isDirectory() || !TEMPLATE_ID_PATTERN.test(entry.name)) continue;
+
+      const versions = new Map();
+      for (const file of fs.readdirSync(join(dir, entry.name))) {
+        const match = file.match(VERSION_FILE_PATTERN);
+        if (!match) continue;
+
+        const version = parseInt(match[1]);
+        const source = fs.readFileSync(join(dir, entry.name, file), 'utf8');
+        versions.set(version, { id: entry.name, version, ...this.parseTemplateFile(source) });
+      }
+
+      if (versions.size > 0) {
+        templates.set(entry.name, versions);
+      }
+    }
+
+    this.templates = templates;
+
+    return {
+      templates: templates.size,
+      versions: [...templates.values()].reduce((total, versions) => total + versions.size, 0),
+    };
+  }
+
+  /**
+   * Split a template file into its front matter and body
+   * @private
+   * @param {String} source - File contents
+   * @returns {Object} { description, status, body, variables }
+   */
+  parseTemplateFile(source) {
+    const meta = {};
+    let body = source.replace(/^\uFEFF/, '');
+
+    const frontMatter = body.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n/);
+    if (frontMatter) {
+      for (const line of frontMatter[1].split(/\r?\n/)) {
+        const separator = line.indexOf(':');
+        if (separator > 0) {
+          meta[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+        }
+      }
+      body = body.slice(frontMatter[0].length);
+    }
+
+    body = body.replace(/\s+$/, '');
+
+    return {
+      description: meta.description || '',
+      status: meta.status === 'draft' ? 'draft' : 'active',
+      body,
+      variables: [...new Set([...body.matchAll(VARIABLE_PATTERN)].map(match => match[1]))],
+    };
+  }
+
+  /**
+   * Get the versions of a template, loading the registry on first use
+   * @private
+   * @param {String} id - Template id
+   * @returns {Map} version -> template
+   */
+  getVersions(id) {
+    if (!this.templates) this.reload();
+
+    const versions = this.templates.get(id);
+    if (!versions) {
+      throw new Error(`Prompt template not found: ${id}`);
+    }
+
+    return versions;
+  }
+
+  /**
+   * Get a template version
+   * @param {String} id - Template id
+   * @param {Number} version - Version number (defaults to the active version)
+   * @returns {Object} { id, version, description, status, body, variables }
+   */
+  getTemplate(id, version) {
+    const versions = this.getVersions(id);
+
+    if (version !== undefined && version !== null) {
+      const template = versions.get(parseInt(version));
+      if (!template) {
+        throw new Error(`Prompt template not found: ${id} v${version}`);
+      }
+      return template;
+    }
+
+    const active = [...versions.values()]
+      .filter(template => template.status === 'active')
+      .sort((a, b) => b.version - a.version)[0];
+
+    if (!active) {
+      throw new Error(`Prompt template not found: ${id} has no active version`);
+    }
+
+    return active;
+  }
+
+  /**
+   * Render the active version of a template
+   * @param {String} id - Template id
+   * @param {Object} variables - Values for the template's placeholders
+   * @returns {Object} { text, id, version }
+   */
+  render(id, variables = {}) {
+    const template = this.getTemplate(id);
+    const { text, missing } = this.interpolate(template.body, variables);
+
+    if (missing.length > 0) {
+      throw new Error(`Missing prompt variables for ${id} v${template.version}: ${missing.join(', ')}`);
+    }
+
+    return { text, id, version: template.version };
+  }
+
+  /**
+   * Render any version of a template, leaving missing placeholders in place
+   * @param {String} id - Template id
+   * @param {Number} version - Version number (defaults to the active version)
+   * @param {Object} variables - Values for the template's placeholders
+   * @returns {Object} { id, version, status, text, variables, missingVariables }
+   */
+  preview(id, version, variables = {}) {
+    const template = this.getTemplate(id, version);
+    const { text, missing } = this.interpolate(template.body, variables);
+
+    return {
+      id,
+      version: template.version,
+      status: template.status,
+      text,
+      variables: template.variables,
+      missingVariables: missing,
+    };
+  }
+
+  /**
+   * Replace {{variable}} placeholders
+   * @private
+   * @param {String} body - Template text
+   * @param {Object} variables - Placeholder values
+   * @returns {Object} { text, missing }
+   */
+  interpolate(body, variables) {
+    const missing = new Set();
+
+    const text = body.replace(VARIABLE_PATTERN, (placeholder, name) => {
+      const value = variables?.[name];
+      if (value === undefined || value === null) {
+        missing.add(name);
+        return placeholder;
+      }
+      return String(value);
+    });
+
+    return { text, missing: [...missing] };
+  }
+
+  /**
+   * List every template with its versions
+   * @returns {Array} [{ id, description, activeVersion, versions }]
+   */
+  list() {
+    if (!this.templates) this.reload();
+
+    return [...this.templates.keys()].sort().map(id => {
+      const versions = [...this.getVersions(id).values()].sort((a, b) => a.version - b.version);
+      let activeVersion = null;
+
+      try {
+        activeVersion = this.getTemplate(id).version;
+      } catch (error) {
+        // Only drafts so far
+      }
+
+      return {
+        id,
+        description: versions[versions.length - 1].description,
+        activeVersion,
+        versions: versions.map(({ version, status, description, variables }) => ({
+          version,
+          status,
+          description,
+          variables,
+        })),
+      };
+    });
+  }
+
+  /**
+   * Reference to a rendered prompt for storing next to its output
+   * @param {Object} rendered - Result of render()
+   * @returns {Object} { templateId, version }
+   */
+  toRef(rendered) {
+    return { templateId: rendered.id, version: rendered.version };
+  }
+}
+
+// Export a singleton instance
+export default new PromptService();
@@ -0,0 +1,314 @@
+import LLMService from './LLMService.js';
+import LanguageService from './LanguageService.js';
+import PromptService from './PromptService.js';
+
+// Number of questions in a generated quiz
+const DEFAULT_QUESTION_COUNT = 5;
+const MAX_QUESTION_COUNT = 10;
+
+// JSON Schema for generated quizzes
+// Type-specific fields are optional here and checked in normalizeQuestions,
+// since not every provider supports conditional schemas.
+const QUIZ_SCHEMA = {
+  type: 'object',
+  properties: {
+    questions: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        properties: {
+          type: { type: 'string', enum: ['multiple_choice', 'short_answer'] },
+          question: { type: 'string' },
+          options: {
+            type: 'array',
+            description: 'Answer choices for multiple_choice questions',
+            items: { type: 'string' },
+          },
+          answerIndex: {
+            type: 'integer',
+            description: '0-based index of the correct option for multiple_choice questions',
+          },
+          expectedAnswer: {
+            type: 'string',
+            description: 'A model answer for short_answer questions',
+          },
+          explanation: {
+            type: 'string',
+            description: 'Why the answer is correct, shown after grading',
+          },
+        },
+        required: ['type', 'question'],
+      },
+    },
+  },
+  required: ['questions'],
+};
+
+// JSON Schema for short answer grading
+const GRADING_SCHEMA = {
+  type: 'object',
+  properties: {
+    results: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          correct: { type: 'boolean' },
+          feedback: { type: 'string', description: 'One sentence of feedback for the learner' },
+        },
+        required: ['correct'],
+      },
+    },
+  },
+  required: ['results'],
+};
+
+/**
+ * QuizService - Class for generating and grading learning step quizzes
+ * Multiple choice questions are graded locally; short answers are graded by
+ * the model, with a plain text comparison when grading fails.
+ */
+class QuizService {
+  /**
+   * Generate a quiz for a step of a learning path
+   * @param {Object} learningPath - The learning path document
+   * @param {Number} stepIndex - Index of the step to quiz
+   * @param {Number} questionCount - Number of questions to ask for
+   * @returns {Promise<Object>} { questions, model, promptTemplates }
+   */
+  async generateQuiz(learningPath, stepIndex, questionCount = DEFAULT_QUESTION_COUNT) {
+    const step = learningPath.steps[stepIndex];
+    const count = Math.min(Math.max(parseInt(questionCount) || DEFAULT_QUESTION_COUNT, 1), MAX_QUESTION_COUNT);
+
+    const details = [];
+    if (step.description) details.push(`Step description: ${step.description}\n`);
+    if (step.explanation?.content) details.push(`The learner read this explanation:\n${step.explanation.content}\n`);
+
+    const prompt = PromptService.render('step-quiz', {
+      questionCount: count,
+      pathTitle: learningPath.title,
+      stepTitle: step.title,
+      category: step.category || 'core',
+      stepDetails: details.join(''),
+    });
+    const instruction = LanguageService.getInstruction(learningPath.language);
+
+    const { data, model } = await LLMService.generateJson(
+      'quiz',
+      [...LanguageService.getSystemMessages(learningPath.language), { role: 'user', content: prompt.text }],
+      QUIZ_SCHEMA,
+      { responseSchemaName: 'quiz', userId: learningPath.userId }
+    );
+
+    const questions = this.normalizeQuestions(data.questions).slice(0, count);
+
+    if (questions.length === 0) {
+      throw new Error('Invalid structured output: the quiz has no usable questions');
+    }
+
+    return {
+      questions,
+      model,
+      promptTemplates: [instruction, prompt].filter(Boolean).map(rendered => PromptService.toRef(rendered)),
+    };
+  }
+
+  /**
+   * Drop questions that are missing the fields their type needs
+   * @private
+   * @param {Array} questions - Questions from the model
+   * @returns {Array} Usable questions
+   */
+  normalizeQuestions(questions) {
+    return questions
+      .map(question => {
+        const base = {
+          type: question.type,
+          question: question.question.trim(),
+          explanation: question.explanation?.trim() || undefined,
+        };
+
+        if (question.type === 'multiple_choice') {
+          const options = (question.options || []).map(option => String(option).trim()).filter(Boolean);
+          const valid = options.length >= 2 &&
+            Number.isInteger(question.answerIndex) &&
+            question.answerIndex >= 0 &&
+            question.answerIndex < options.length;
+
+          return valid ? { ...base, options, answerIndex: question.answerIndex } : null;
+        }
+
+        const expectedAnswer = question.expectedAnswer?.trim();
+        return expectedAnswer ? { ...base, expectedAnswer } : null;
+      })
+      .filter(question => question && question.question);
+  }
+
+  /**
+   * Grade answers to a quiz
+   * @param {Object} quiz - The step quiz subdocument
+   * @param {Array} answers - [{ questionId, answer }]; answer is an option index or text
+   * @param {Number} passingScore - Fraction of correct answers needed to pass
+   * @param {Object} options - { userId } the grading tokens are recorded for
+   * @returns {Promise<Object>} { quizId, answers, score, passed, promptTemplates }
+   */
+  async gradeQuiz(quiz, answers, passingScore, { userId } = {}) {
+    const byQuestion = new Map(
+      answers
+        .filter(answer => answer && answer.questionId)
+        .map(answer => [String(answer.questionId), answer.answer])
+    );
+
+    const results = quiz.questions.map(question => {
+      const answer = byQuestion.get(String(question._id));
+
+      if (question.type === 'multiple_choice') {
+        const selectedIndex = answer === undefined || answer === null || answer === '' ? NaN : Number(answer);
+        return {
+          questionId: question._id,
+          selectedIndex: Number.isInteger(selectedIndex) ? selectedIndex : undefined,
+          correct: selectedIndex === question.answerIndex,
+        };
+      }
+
+      return {
+        questionId: question._id,
+        answer: typeof answer === 'string' ? answer.trim() : undefined,
+        correct: false,
+      };
+    });
+
+    const promptTemplates = await this.gradeShortAnswers(quiz, results, userId);
+
+    const correctCount = results.filter(result => result.correct).length;
+    const score = quiz.questions.length > 0 ? correctCount / quiz.questions.length : 0;
+
+    return {
+      quizId: quiz._id,
+      answers: results,
+      score,
+      passed: score >= passingScore,
+      promptTemplates,
+    };
+  }
+
+  /**
+   * Grade the short answers of a quiz in one model call (updates results in place)
+   * @private
+   * @param {Object} quiz - The step quiz subdocument
+   * @param {Array} results - Results in question order
+   * @param {String} userId - User the grading tokens are recorded for
+   * @returns {Promise<Array>} Templates behind the grading ([] when the model graded nothing)
+   */
+  async gradeShortAnswers(quiz, results, userId) {
+    const pending = quiz.questions
+      .map((question, index) => ({ question, result: results[index] }))
+      .filter(({ question, result }) => question.type === 'short_answer' && result.answer);
+
+    if (pending.length === 0) return [];
+
+    const items = pending.map(({ question, result }, index) =>
+      `${index + 1}. Question: ${question.question}\n   Expected answer: ${question.expectedAnswer}\n   Learner's answer: ${result.answer}`
+    ).join('\n\n');
+
+    const prompt = PromptService.render('quiz-grading', { answers: items });
+
+    try {
+      const { data } = await LLMService.generateJson(
+        'quiz',
+        [{ role: 'user', content: prompt.text }],
+        GRADING_SCHEMA,
+        { responseSchemaName: 'quiz_grading', temperature: 0, userId }
+      );
+
+      if (data.results.length !== pending.length) {
+        throw new Error(`Invalid structured output: expected ${pending.length} results, got ${data.results.length}`);
+      }
+
+      pending.forEach(({ result }, index) => {
+        result.correct = data.results[index].correct;
+        result.feedback = data.results[index].feedback?.trim() || undefined;
+      });
+
+      return [PromptService.toRef(prompt)];
+    } catch (error) {
+      console.error('Error grading short answers, comparing text instead:', error.message);
+
+      for (const { question, result } of pending) {
+        result.correct = this.normalizeAnswer(result.answer) === this.normalizeAnswer(question.expectedAnswer);
+      }
+
+      return [];
+    }
+  }
+
+  /**
+   * Normalize an answer for plain text comparison
+   * @private
+   * @param {String} text - Answer text
+   * @returns {String} Lowercased text without punctuation
+   */
+  normalizeAnswer(text) {
+    return String(text || '')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\s]/gu, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Format a quiz for learners, without answers or explanations
+   * @param {Object} quiz - The step quiz subdocument
+   * @returns {Object} { id, createdAt, questions: [{ id, type, question, options }] }
+   */
+  toClientQuiz(quiz) {
+    return {
+      id: quiz._id,
+      createdAt: quiz.createdAt,
+      questions: quiz.questions.map(question => ({
+        id: question._id,
+        type: question.type,
+        question: question.question,
+        options: question.type === 'multiple_choice' ? question.options : undefined,
+      })),
+    };
+  }
+
+  /**
+   * Format a graded attempt
+   * The correct answers and explanations are only revealed once the attempt
+   * has passed, so a failed attempt can't be used to pass the next quiz.
+   * @param {Object} quiz - The step quiz subdocument
+   * @param {Object} attempt - The saved attempt subdocument
+   * @returns {Object} The attempt with per-question results (and answers when passed)
+   */
+  toClientAttempt(quiz, attempt) {
+    const questions = new Map(quiz.questions.map(question => [String(question._id), question]));
+
+    return {
+      id: attempt._id,
+      quizId: attempt.quizId,
+      score: attempt.score,
+      passed: attempt.passed,
+      submittedAt: attempt.submittedAt,
+      answers: attempt.answers.map(answer => {
+        const question = attempt.passed ? questions.get(String(answer.questionId)) : null;
+
+        return {
+          questionId: answer.questionId,
+          selectedIndex: answer.selectedIndex,
+          answer: answer.answer,
+          correct: answer.correct,
+          feedback: answer.feedback,
+          answerIndex: question?.answerIndex,
+          expectedAnswer: question?.expectedAnswer,
+          explanation: question?.explanation,
+        };
+      }),
+    };
+  }
+}
+
+// Export a singleton instance
+export default new QuizService();
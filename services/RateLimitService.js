@@ -0,0 +1,84 @@
+import MemoryStore from './ratelimit/MemoryStore.js';
+import MongoStore from './ratelimit/MongoStore.js';
+import { getBucketConfig, getStoreName } from './ratelimit/config.js';
+
+/**
+ * RateLimitService - Counts requests per client and bucket
+ * Resolves the configured counter store and applies the bucket limits from
+ * services/ratelimit/config.js.
+ */
+class RateLimitService {
+  /**
+   * Constructor for the rate limit service
+   */
+  constructor() {
+    // Store factories by name; the configured store is created lazily
+    this.factories = new Map([
+      ['memory', () => new MemoryStore()],
+      ['mongo', () => new MongoStore()],
+    ]);
+    this.stores = new Map();
+  }
+
+  /**
+   * Register an additional counter store
+   * @param {String} name - Name used in RATE_LIMIT_STORE
+   * @param {Function} factory - Returns a BaseStore instance
+   */
+  registerStore(name, factory) {
+    this.factories.set(name, factory);
+    this.stores.delete(name);
+  }
+
+  /**
+   * Get the configured counter store
+   * @returns {BaseStore} The store instance
+   */
+  getStore() {
+    const name = getStoreName();
+
+    if (!this.stores.has(name)) {
+      const factory = this.factories.get(name);
+      if (!factory) {
+        throw new Error(`Unknown rate limit store: ${name}`);
+      }
+      this.stores.set(name, factory());
+    }
+
+    return this.stores.get(name);
+  }
+
+  /**
+   * Identify the client a request counts against
+   * The authenticated user, or the client IP for anonymous requests.
+   * @param {Object} req - Express request object
+   * @returns {String} e.g. 'user:42' or 'ip:203.0.113.7'
+   */
+  getClientKey(req) {
+    return req.user?.id ? `user:${req.user.id}` : `ip:${req.ip}`;
+  }
+
+  /**
+   * Count a request against a bucket
+   * @param {String} bucket - Bucket name, e.g. 'api' or 'llm'
+   * @param {String} clientKey - Result of getClientKey()
+   * @returns {Promise<Object|null>} { limited, limit, remaining, resetAt, windowMs }, or null when the bucket is off
+   */
+  async hit(bucket, clientKey) {
+    const { max, windowMs } = getBucketConfig(bucket);
+    if (max === 0) return null;
+
+    const { count, resetAt } = await this.getStore().increment(`${bucket}:${clientKey}`, windowMs);
+
+    return {
+      limited: count > max,
+      limit: max,
+      remaining: Math.max(0, max - count),
+      resetAt,
+      windowMs,
+    };
+  }
+}
+
+// Export a singleton instance
+export default new RateLimitService();
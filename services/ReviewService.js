@@ -0,0 +1,374 @@
+import BaseService from './BaseService.js';
+import Flashcard from '../models/FlashcardModel.js';
+import LearningProgress from '../models/ProgressModel.js';
+import LLMService from './LLMService.js';
+import LanguageService from './LanguageService.js';
+import PromptService from './PromptService.js';
+
+// Cards generated for each completed step
+const MAX_CARDS_PER_STEP = 4;
+
+// SM-2 constants
+const MIN_EASE_FACTOR = 1.3;
+const PASSING_GRADE = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Named grades accepted besides the 0-5 SM-2 scale
+const NAMED_GRADES = { again: 1, hard: 3, good: 4, easy: 5 };
+
+// Most due cards returned at once
+const MAX_DUE_CARDS = 100;
+
+// Longest explanation or notes text sent to the model
+const MAX_SOURCE_CHARS = 1500;
+
+// JSON Schema for generated flashcards
+const FLASHCARD_SCHEMA = {
+  type: 'object',
+  properties: {
+    cards: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        properties: {
+          front: { type: 'string', description: 'A question or prompt' },
+          back: { type: 'string', description: 'The answer, at most three sentences' },
+        },
+        required: ['front', 'back'],
+      },
+    },
+  },
+  required: ['cards'],
+};
+
+/**
+ * ReviewService - Class for spaced-repetition flashcards
+ * Cards are generated from completed learning steps and scheduled with SM-2.
+ * Extends BaseService to inherit common functionality
+ */
+class ReviewService extends BaseService {
+  /**
+   * Constructor for the review service
+   */
+  constructor() {
+    // Pass the Flashcard model to the base service
+    super(Flashcard);
+  }
+
+  /**
+   * Get the cards a user should review now
+   * @param {string} userId - The user ID
+   * @param {Object} options - { limit }
+   * @returns {Promise<Object>} { cards, dueCount, nextDueAt }
+   */
+  async getDueCards(userId, { limit = 20 } = {}) {
+    try {
+      const count = parseInt(limit);
+      if (!Number.isInteger(count) || count < 1 || count > MAX_DUE_CARDS) {
+        throw new Error(`Invalid limit: use a number from 1 to ${MAX_DUE_CARDS}`);
+      }
+
+      const now = new Date();
+      const filter = { userId, dueAt: { $lte: now } };
+
+      const [cards, dueCount, next] = await Promise.all([
+        this.model.find(filter)
+          .sort({ dueAt: 1 })
+          .limit(count)
+          .populate('learningPathId', 'title')
+          .lean(),
+        this.model.countDocuments(filter),
+        this.model.findOne({ userId, dueAt: { $gt: now } }).sort({ dueAt: 1 }).select('dueAt').lean(),
+      ]);
+
+      return {
+        cards: cards.map(card => this.toClientCard(card)),
+        dueCount,
+        nextDueAt: next?.dueAt || null,
+      };
+    } catch (error) {
+      console.error('Error in getDueCards:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a review and schedule the card's next one
+   * @param {string} cardId - The card ID
+   * @param {string} userId - The user ID (for authorization)
+   * @param {number|string} grade - 0-5, or again / hard / good / easy
+   * @returns {Promise<Object>} The updated card
+   */
+  async gradeCard(cardId, userId, grade) {
+    try {
+      const quality = this.parseGrade(grade);
+
+      const card = await this.model.findOne({ _id: cardId, userId });
+      if (!card) {
+        throw new Error('Card not found');
+      }
+
+      Object.assign(card, this.schedule(card, quality, new Date()));
+
+      await card.save();
+      return this.toClientCard(card.toObject());
+    } catch (error) {
+      if (error.name === 'CastError') {
+        throw new Error('Card not found');
+      }
+      console.error('Error in gradeCard:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Parse a review grade
+   * @private
+   * @param {number|string} grade - 0-5, or again / hard / good / easy
+   * @returns {number} SM-2 quality (0-5)
+   */
+  parseGrade(grade) {
+    if (typeof grade === 'string' && NAMED_GRADES[grade.toLowerCase()] !== undefined) {
+      return NAMED_GRADES[grade.toLowerCase()];
+    }
+
+    const quality = Number(grade);
+    if (!Number.isInteger(quality) || quality < 0 || quality > 5) {
+      throw new Error('Invalid grade: use 0-5 or again, hard, good, easy');
+    }
+
+    return quality;
+  }
+
+  /**
+   * Compute the next SM-2 state of a card
+   * @param {Object} card - Current scheduling state
+   * @param {number} quality - Review grade (0-5)
+   * @param {Date} now - Review time
+   * @returns {Object} { easeFactor, interval, repetitions, lapses, dueAt, lastReviewedAt, lastGrade }
+   */
+  schedule(card, quality, now) {
+    let { easeFactor = 2.5, interval = 0, repetitions = 0, lapses = 0 } = card;
+
+    if (quality >= PASSING_GRADE) {
+      if (repetitions === 0) {
+        interval = 1;
+      } else if (repetitions === 1) {
+        interval = 6;
+      } else {
+        interval = Math.round(interval * easeFactor);
+      }
+      repetitions += 1;
+    } else {
+      // Forgotten cards start over and come back tomorrow
+      repetitions = 0;
+      interval = 1;
+      lapses += 1;
+    }
+
+    easeFactor = Math.max(
+      MIN_EASE_FACTOR,
+      easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+    );
+
+    return {
+      easeFactor: Math.round(easeFactor * 100) / 100,
+      interval,
+      repetitions,
+      lapses,
+      dueAt: new Date(now.getTime() + interval * DAY_MS),
+      lastReviewedAt: now,
+      lastGrade: quality,
+    };
+  }
+
+  /**
+   * Create cards for every completed step of a user's paths that has none yet
+   * @param {string} userId - The user ID
+   * @param {Object} options - { progressId } to limit generation to one path
+   * @returns {Promise<Object>} { created, steps }
+   */
+  async generateCardsForUser(userId, { progressId } = {}) {
+    try {
+      const filter = { userId, 'steps.completed': true };
+      if (progressId) filter._id = progressId;
+
+      const paths = await LearningProgress.find(filter);
+      let created = 0;
+      let steps = 0;
+
+      // Sequential on purpose: one model call at a time
+      for (const learningPath of paths) {
+        for (const step of learningPath.steps.filter(s => s.completed)) {
+          const cards = await this.generateCardsForStep(learningPath, step.stepId);
+          if (cards.length > 0) {
+            created += cards.length;
+            steps += 1;
+          }
+        }
+      }
+
+      return { created, steps };
+    } catch (error) {
+      if (error.name === 'CastError') {
+        throw new Error('Learning path not found');
+      }
+      console.error('Error in generateCardsForUser:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create cards for a completed step unless it already has some
+   * The step is claimed first, so when the background run after completing
+   * a step and a manual generation overlap only one of them writes cards.
+   * @param {Object} learningPath - The learning path document
+   * @param {string} stepId - The completed step
+   * @returns {Promise<Array>} Created cards (empty when the step already had cards)
+   */
+  async generateCardsForStep(learningPath, stepId) {
+    const step = learningPath.steps.find(s => s.stepId === stepId);
+    if (!step || !step.completed) return [];
+
+    // Steps with cards from before claims existed
+    const existing = await this.model.exists({ learningPathId: learningPath._id, stepId });
+    if (existing) return [];
+
+    const claim = await LearningProgress.updateOne(
+      { _id: learningPath._id, steps: { $elemMatch: { stepId, cardsGeneratedAt: null } } },
+      { $set: { 'steps.$.cardsGeneratedAt': new Date() } }
+    );
+    if (claim.modifiedCount === 0) return [];
+
+    try {
+      const { cards, promptTemplates } = await this.buildCards(learningPath, step);
+      if (cards.length === 0) {
+        await this.releaseClaim(learningPath._id, stepId);
+        return [];
+      }
+
+      // Upserts keyed on the question, so nothing is inserted twice even without the claim
+      const dueAt = new Date(Date.now() + DAY_MS);
+      const result = await this.model.bulkWrite(cards.map(card => ({
+        updateOne: {
+          filter: { learningPathId: learningPath._id, stepId, front: card.front },
+          update: {
+            $setOnInsert: {
+              userId: learningPath.userId,
+              learningPathId: learningPath._id,
+              stepId,
+              front: card.front,
+              back: card.back,
+              promptTemplates,
+              // First review the day after completion
+              dueAt,
+              createdAt: new Date(),
+            },
+          },
+          upsert: true,
+        },
+      })), { ordered: false });
+
+      return this.model.find({ _id: { $in: Object.values(result.upsertedIds) } });
+    } catch (error) {
+      await this.releaseClaim(learningPath._id, stepId);
+      throw error;
+    }
+  }
+
+  /**
+   * Let a later run generate a step's cards after this one made none
+   * @private
+   * @param {string} learningPathId - The learning path ID
+   * @param {string} stepId - The step
+   * @returns {Promise<void>}
+   */
+  async releaseClaim(learningPathId, stepId) {
+    await LearningProgress.updateOne(
+      { _id: learningPathId, 'steps.stepId': stepId },
+      { $unset: { 'steps.$.cardsGeneratedAt': 1 } }
+    );
+  }
+
+  /**
+   * Write flashcard text for a step with the model, falling back to the step's own text
+   * @private
+   * @param {Object} learningPath - The learning path document
+   * @param {Object} step - The step subdocument
+   * @returns {Promise<Object>} { cards: [{ front, back }], promptTemplates } (no templates for fallback cards)
+   */
+  async buildCards(learningPath, step) {
+    const sources = [`Step: ${step.title} (from the learning path "${learningPath.title}")`];
+
+    if (step.description) sources.push(`Description: ${step.description}`);
+    if (step.explanation?.content) sources.push(`Explanation:\n${step.explanation.content.substring(0, MAX_SOURCE_CHARS)}`);
+    if (step.notes) sources.push(`Learner's notes:\n${step.notes.substring(0, MAX_SOURCE_CHARS)}`);
+
+    const prompt = PromptService.render('step-flashcards', {
+      maxCards: MAX_CARDS_PER_STEP,
+      sources: sources.join('\n\n'),
+    });
+    const instruction = LanguageService.getInstruction(learningPath.language);
+
+    try {
+      const { data } = await LLMService.generateJson(
+        'flashcards',
+        [...LanguageService.getSystemMessages(learningPath.language), { role: 'user', content: prompt.text }],
+        FLASHCARD_SCHEMA,
+        { responseSchemaName: 'flashcards', userId: learningPath.userId }
+      );
+
+      const cards = data.cards
+        .map(card => ({ front: card.front.trim(), back: card.back.trim() }))
+        .filter(card => card.front && card.back)
+        .slice(0, MAX_CARDS_PER_STEP);
+
+      if (cards.length > 0) {
+        return {
+          cards,
+          promptTemplates: [instruction, prompt].filter(Boolean).map(rendered => PromptService.toRef(rendered)),
+        };
+      }
+    } catch (error) {
+      console.error('Error generating flashcards, using the step text instead:', error.message);
+    }
+
+    const back = step.description || step.explanation?.content || step.notes;
+    const cards = back
+      ? [{ front: `What is "${step.title}" about?`, back: back.substring(0, MAX_SOURCE_CHARS) }]
+      : [];
+    return { cards, promptTemplates: [] };
+  }
+
+  /**
+   * Format a card for clients
+   * @private
+   * @param {Object} card - Plain card object (learningPathId may be populated)
+   * @returns {Object} The card with a link to its learning path step
+   */
+  toClientCard(card) {
+    const path = card.learningPathId;
+    const populated = path && typeof path === 'object' && path.title !== undefined;
+
+    return {
+      id: card._id,
+      front: card.front,
+      back: card.back,
+      dueAt: card.dueAt,
+      interval: card.interval,
+      repetitions: card.repetitions,
+      easeFactor: card.easeFactor,
+      lapses: card.lapses,
+      lastReviewedAt: card.lastReviewedAt,
+      source: {
+        learningPathId: populated ? path._id : path,
+        learningPathTitle: populated ? path.title : undefined,
+        stepId: card.stepId,
+      },
+    };
+  }
+}
+
+// Export a singleton instance
+export default new ReviewService();
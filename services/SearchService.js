@@ -0,0 +1,280 @@
+import Chat from '../models/ChatModel.js';
+import LearningProgress from '../models/ProgressModel.js';
+import ChatService from './ChatService.js';
+
+// Search limits
+const MAX_QUERY_LENGTH = 200;
+const MAX_MATCHES_PER_RESULT = 3;
+const SNIPPET_LENGTH = 160;
+
+// Paging limits; results are merged in memory, so deep pages are refused
+const MAX_PAGE_SIZE = 50;
+const MAX_RESULT_WINDOW = 500;
+
+// Result types that can be requested
+const SEARCH_TYPES = ['all', 'chats', 'paths'];
+
+/**
+ * SearchService - Class for searching a user's chats and learning paths
+ * Queries run against the text indexes on the Chat and LearningProgress
+ * collections; snippets are cut from the matching documents afterwards.
+ */
+class SearchService {
+  /**
+   * Search chats and learning paths for a user
+   * @param {string} userId - The user ID
+   * @param {string} query - Search terms (quoted phrases and -exclusions follow MongoDB $text syntax)
+   * @param {Object} options - { limit, page, type }
+   * @returns {Promise} Results ordered by relevance and pagination info
+   */
+  async search(userId, query, { limit = 20, page = 1, type = 'all' } = {}) {
+    try {
+      const terms = this.validateQuery(query, type);
+      ({ limit, page } = this.parsePaging(limit, page));
+      
+      // Fetch enough of each collection to fill the requested page after merging
+      const window = page * limit;
+      const filter = { userId, $text: { $search: query.trim() } };
+      const projection = { score: { $meta: 'textScore' } };
+      const sort = { score: { $meta: 'textScore' } };
+      
+      const [chats, chatTotal, paths, pathTotal] = await Promise.all([
+        type === 'paths' ? [] : Chat.find(filter, projection).sort(sort).limit(window).lean(),
+        type === 'paths' ? 0 : Chat.countDocuments(filter),
+        type === 'chats' ? [] : LearningProgress.find(filter, projection).sort(sort).limit(window).lean(),
+        type === 'chats' ? 0 : LearningProgress.countDocuments(filter),
+      ]);
+      
+      const results = [
+        ...chats.map(chat => this.formatChatResult(chat, terms)),
+        ...paths.map(path => this.formatPathResult(path, terms)),
+      ]
+        .sort((a, b) => b.score - a.score)
+        .slice((page - 1) * limit, page * limit);
+      
+      const total = chatTotal + pathTotal;
+      
+      return {
+        results,
+        pagination: {
+          total,
+          page,
+          limit,
+          pages: Math.ceil(total / limit),
+        },
+      };
+    } catch (error) {
+      console.error('Error in search:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Validate the query and extract the terms used for highlighting
+   * @private
+   * @param {string} query - Raw search query
+   * @param {string} type - Requested result type
+   * @returns {Array} Lower-cased search terms
+   */
+  validateQuery(query, type) {
+    if (!query || !query.trim()) {
+      throw new Error('Invalid search: query is required');
+    }
+    
+    if (query.length > MAX_QUERY_LENGTH) {
+      throw new Error(`Invalid search: query must be at most ${MAX_QUERY_LENGTH} characters`);
+    }
+    
+    if (!SEARCH_TYPES.includes(type)) {
+      throw new Error(`Invalid search: type must be one of ${SEARCH_TYPES.join(', ')}`);
+    }
+    
+    return this.extractTerms(query);
+  }
+  
+  /**
+   * Parse page and limit as positive integers
+   * A limit of 0 would mean "no limit" to MongoDB, so it is never passed through.
+   * @private
+   * @param {*} limit - Results per page (clamped to MAX_PAGE_SIZE)
+   * @param {*} page - 1-based page number
+   * @returns {Object} { limit, page }
+   */
+  parsePaging(limit, page) {
+    const parsedLimit = Number(limit);
+    const parsedPage = Number(page);
+    
+    if (!Number.isInteger(parsedLimit) || parsedLimit < 1) {
+      throw new Error('Invalid search: limit must be a positive integer');
+    }
+    
+    if (!Number.isInteger(parsedPage) || parsedPage < 1) {
+      throw new Error('Invalid search: page must be a positive integer');
+    }
+    
+    const clampedLimit = Math.min(parsedLimit, MAX_PAGE_SIZE);
+    
+    if (parsedPage * clampedLimit > MAX_RESULT_WINDOW) {
+      throw new Error(`Invalid search: only the first ${MAX_RESULT_WINDOW} results can be paged through`);
+    }
+    
+    return { limit: clampedLimit, page: parsedPage };
+  }
+  
+  /**
+   * Extract positive search terms, ignoring quotes and -excluded words
+   * @private
+   * @param {string} query - Raw search query
+   * @returns {Array} Lower-cased search terms
+   */
+  extractTerms(query) {
+    return query
+      .split(/\s+/)
+      .filter(word => word && !word.startsWith('-'))
+      .map(word => word.replace(/["']/g, '').toLowerCase())
+      .filter(Boolean);
+  }
+  
+  /**
+   * Build a regex matching words that start with the stem of any term
+   * MongoDB stems terms ("hooks" matches "hook"), so highlights do the same roughly.
+   * @private
+   * @param {Array} terms - Search terms
+   * @returns {RegExp} Global, case-insensitive matcher
+   */
+  buildMatcher(terms) {
+    const stems = terms.map(term => {
+      const stem = term.length > 4 ? term.replace(/(ing|ed|es|s)$/, '') : term;
+      return stem.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    });
+    
+    return new RegExp(`(?<![\\p{L}\\p{N}])(?:${stems.join('|')})[\\p{L}\\p{N}]*`, 'giu');
+  }
+  
+  /**
+   * Cut a snippet around the first match and record highlight ranges
+   * @private
+   * @param {string} text - Source text
+   * @param {Array} terms - Search terms
+   * @returns {Object|null} { snippet, highlights } or null when nothing matches
+   */
+  createSnippet(text, terms) {
+    if (!text || terms.length === 0) return null;
+    
+    const matcher = this.buildMatcher(terms);
+    const firstMatch = matcher.exec(text);
+    if (!firstMatch) return null;
+    
+    // Center the window on the first match
+    let start = Math.max(0, firstMatch.index - Math.floor(SNIPPET_LENGTH / 3));
+    let end = Math.min(text.length, start + SNIPPET_LENGTH);
+    start = Math.max(0, end - SNIPPET_LENGTH);
+    
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < text.length ? '…' : '';
+    const body = text.substring(start, end).replace(/\s+/g, ' ');
+    const snippet = `${prefix}${body}${suffix}`;
+    
+    // Highlight offsets are relative to the returned snippet
+    const highlights = [];
+    const snippetMatcher = this.buildMatcher(terms);
+    let match;
+    while ((match = snippetMatcher.exec(body)) !== null) {
+      highlights.push({
+        start: match.index + prefix.length,
+        end: match.index + prefix.length + match[0].length,
+      });
+    }
+    
+    return { snippet, highlights };
+  }
+  
+  /**
+   * Format a matching chat with its best message snippets
+   * messageIndex is the position on the active branch, as in the chat view.
+   * @private
+   * @param {Object} chat - Lean chat document with a text score
+   * @param {Array} terms - Search terms
+   * @returns {Object} Search result
+   */
+  formatChatResult(chat, terms) {
+    const matches = [];
+    
+    const titleSnippet = this.createSnippet(chat.title, terms);
+    if (titleSnippet) {
+      matches.push({ field: 'title', ...titleSnippet });
+    }
+    
+    // Only the active branch is shown in the chat view, so only it is searched for snippets
+    ChatService.getActiveBranch(chat).forEach((message, messageIndex) => {
+      if (matches.length >= MAX_MATCHES_PER_RESULT) return;
+      
+      const messageSnippet = this.createSnippet(message.content, terms);
+      if (messageSnippet) {
+        matches.push({
+          field: 'message',
+          messageId: message._id,
+          messageIndex,
+          role: message.role,
+          timestamp: message.timestamp,
+          ...messageSnippet,
+        });
+      }
+    });
+    
+    return {
+      type: 'chat',
+      chatId: chat._id,
+      title: chat.title,
+      updatedAt: chat.updatedAt,
+      score: chat.score,
+      matches,
+    };
+  }
+  
+  /**
+   * Format a matching learning path with its best step snippets
+   * @private
+   * @param {Object} path - Lean learning path document with a text score
+   * @param {Array} terms - Search terms
+   * @returns {Object} Search result
+   */
+  formatPathResult(path, terms) {
+    const matches = [];
+    
+    for (const field of ['title', 'description']) {
+      const snippet = this.createSnippet(path[field], terms);
+      if (snippet) {
+        matches.push({ field, ...snippet });
+      }
+    }
+    
+    for (const step of path.steps || []) {
+      if (matches.length >= MAX_MATCHES_PER_RESULT) break;
+      
+      for (const field of ['title', 'notes']) {
+        const snippet = this.createSnippet(step[field], terms);
+        if (snippet) {
+          matches.push({
+            field: field === 'title' ? 'stepTitle' : 'stepNotes',
+            stepId: step.stepId,
+            ...snippet,
+          });
+        }
+      }
+    }
+    
+    return {
+      type: 'learningPath',
+      progressId: path._id,
+      chatId: path.chatId,
+      title: path.title,
+      updatedAt: path.updatedAt,
+      score: path.score,
+      matches: matches.slice(0, MAX_MATCHES_PER_RESULT),
+    };
+  }
+}
+
+// Export a singleton instance
+export default new SearchService();
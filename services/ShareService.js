@@ -0,0 +1,297 @@
+import crypto from 'crypto';
+import BaseService from './BaseService.js';
+import PathShare from '../models/PathShareModel.js';
+import LearningService from './LearningService.js';
+
+// Random bytes in a share token (32 base64url characters)
+const TOKEN_BYTES = 24;
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+const TOKEN_PREFIX_LENGTH = 6;
+
+// Active links per learning path
+const MAX_SHARES_PER_PATH = 20;
+
+// Longest expiry a link can be given
+const MAX_EXPIRY_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * ShareService - Class for read-only share links to learning paths
+ * Anyone with a link's token can see the path's steps and progress. The
+ * shared view never contains the owner's userId, the chat the path came
+ * from, explanations or quizzes; notes only when the owner chose so.
+ * Extends BaseService to inherit common functionality
+ */
+class ShareService extends BaseService {
+  /**
+   * Constructor for the share service
+   */
+  constructor() {
+    // Pass the PathShare model to the base service
+    super(PathShare);
+  }
+
+  /**
+   * Create a share link for a learning path
+   * @param {string} progressId - Learning path ID
+   * @param {string} userId - Owner of the path
+   * @param {Object} options - { includeNotes, expiresAt, expiresInDays }
+   * @returns {Promise<Object>} The share, including its token (only returned here)
+   */
+  async createShare(progressId, userId, { includeNotes = false, expiresAt, expiresInDays } = {}) {
+    try {
+      const learningPath = await LearningService.getLearningPathById(progressId, userId);
+
+      if (typeof includeNotes !== 'boolean') {
+        throw new Error('Invalid share: includeNotes must be true or false');
+      }
+
+      const expiry = this.parseExpiry(expiresAt, expiresInDays);
+
+      const active = await this.model.countDocuments(this.activeFilter(learningPath._id));
+      if (active >= MAX_SHARES_PER_PATH) {
+        throw new Error(`Invalid share: a learning path can have at most ${MAX_SHARES_PER_PATH} active links`);
+      }
+
+      const token = crypto.randomBytes(TOKEN_BYTES).toString('base64url');
+
+      const share = await this.model.create({
+        learningPathId: learningPath._id,
+        tokenHash: this.hashToken(token),
+        tokenPrefix: token.substring(0, TOKEN_PREFIX_LENGTH),
+        includeNotes,
+        expiresAt: expiry,
+      });
+
+      return { ...this.toClientShare(share), token };
+    } catch (error) {
+      console.error('Error in createShare:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the active share links of a learning path
+   * @param {string} progressId - Learning path ID
+   * @param {string} userId - Owner of the path
+   * @returns {Promise<Array>} Shares, newest first, without their tokens
+   */
+  async listShares(progressId, userId) {
+    try {
+      const learningPath = await LearningService.getLearningPathById(progressId, userId);
+
+      const shares = await this.model.find(this.activeFilter(learningPath._id))
+        .sort({ createdAt: -1 })
+        .lean();
+
+      return shares.map(share => this.toClientShare(share));
+    } catch (error) {
+      console.error('Error in listShares:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke a share link; its token stops working immediately
+   * @param {string} progressId - Learning path ID
+   * @param {string} shareId - Share ID
+   * @param {string} userId - Owner of the path
+   * @returns {Promise<void>}
+   */
+  async revokeShare(progressId, shareId, userId) {
+    try {
+      const learningPath = await LearningService.getLearningPathById(progressId, userId);
+
+      const result = await this.model.deleteOne({ _id: shareId, learningPathId: learningPath._id });
+      if (result.deletedCount === 0) {
+        throw new Error('Share not found');
+      }
+    } catch (error) {
+      if (error.name === 'CastError') {
+        throw new Error('Share not found');
+      }
+      console.error('Error in revokeShare:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the active share of a token
+   * @param {string} token - Share token from a link or the X-Path-Token header
+   * @returns {Promise<Object>} The share document
+   */
+  async findShare(token) {
+    if (typeof token !== 'string' || !TOKEN_PATTERN.test(token)) {
+      throw new Error('Share not found');
+    }
+
+    const share = await this.model.findOne({
+      tokenHash: this.hashToken(token),
+      ...this.activeFilter(),
+    });
+
+    if (!share) {
+      throw new Error('Share not found');
+    }
+
+    return share;
+  }
+
+  /**
+   * Get the learning path a share token gives access to
+   * @param {string} token - Share token
+   * @param {string} progressId - The path the client expects (optional)
+   * @returns {Promise<Object>} { share, learningPath } with a plain learning path object
+   */
+  async resolveShare(token, progressId) {
+    const share = await this.findShare(token);
+
+    if (progressId && String(share.learningPathId) !== String(progressId)) {
+      throw new Error('Learning path not found');
+    }
+
+    const learningPath = await LearningService.model.findById(share.learningPathId).lean();
+    if (!learningPath) {
+      throw new Error('Share not found');
+    }
+
+    return { share, learningPath };
+  }
+
+  /**
+   * Get the shared view of a learning path
+   * @param {string} token - Share token
+   * @returns {Promise<Object>} Sanitized learning path
+   */
+  async getSharedPath(token) {
+    try {
+      const { share, learningPath } = await this.resolveShare(token);
+
+      await this.model.updateOne(
+        { _id: share._id },
+        { $inc: { viewCount: 1 }, $set: { lastViewedAt: new Date() } }
+      );
+
+      return this.toSharedView(learningPath, share);
+    } catch (error) {
+      if (error.message !== 'Share not found') {
+        console.error('Error in getSharedPath:', error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Work out when a new link expires
+   * @private
+   * @param {string|Date} expiresAt - Expiry time
+   * @param {number} expiresInDays - Days from now (used when expiresAt is not set)
+   * @returns {Date|undefined} Expiry time, or undefined for no expiry
+   */
+  parseExpiry(expiresAt, expiresInDays) {
+    const latest = Date.now() + MAX_EXPIRY_DAYS * DAY_MS;
+
+    if (expiresAt !== undefined && expiresAt !== null) {
+      const date = new Date(expiresAt);
+      if (Number.isNaN(date.getTime()) || date.getTime() <= Date.now() || date.getTime() > latest) {
+        throw new Error(`Invalid share: expiresAt must be a date within the next ${MAX_EXPIRY_DAYS} days`);
+      }
+      return date;
+    }
+
+    if (expiresInDays !== undefined && expiresInDays !== null) {
+      const days = Number(expiresInDays);
+      if (!Number.isFinite(days) || days <= 0 || days > MAX_EXPIRY_DAYS) {
+        throw new Error(`Invalid share: expiresInDays must be more than 0 and at most ${MAX_EXPIRY_DAYS}`);
+      }
+      return new Date(Date.now() + days * DAY_MS);
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Filter for shares that have not expired
+   * @private
+   * @param {string} learningPathId - Limit to one learning path (optional)
+   * @returns {Object} MongoDB filter
+   */
+  activeFilter(learningPathId) {
+    const filter = {
+      // null also matches links without the field
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+    };
+    if (learningPathId) filter.learningPathId = learningPathId;
+    return filter;
+  }
+
+  /**
+   * Hash a token for storage and lookup
+   * @private
+   * @param {string} token - Share token
+   * @returns {string} Hex SHA-256
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Format a share for its owner
+   * @private
+   * @param {Object} share - Share document
+   * @returns {Object} { id, tokenPrefix, includeNotes, expiresAt, viewCount, lastViewedAt, createdAt }
+   */
+  toClientShare(share) {
+    return {
+      id: share._id,
+      tokenPrefix: share.tokenPrefix,
+      includeNotes: share.includeNotes,
+      expiresAt: share.expiresAt || null,
+      viewCount: share.viewCount || 0,
+      lastViewedAt: share.lastViewedAt || null,
+      createdAt: share.createdAt,
+    };
+  }
+
+  /**
+   * Build the read-only view of a learning path
+   * Fields are copied one by one so new fields stay private until added here.
+   * @private
+   * @param {Object} learningPath - Plain learning path object
+   * @param {Object} share - The share the path is seen through
+   * @returns {Object} Sanitized learning path
+   */
+  toSharedView(learningPath, share) {
+    return {
+      id: learningPath._id,
+      title: learningPath.title,
+      description: learningPath.description,
+      difficulty: learningPath.difficulty,
+      language: learningPath.language,
+      estimatedTimeToComplete: learningPath.estimatedTimeToComplete,
+      totalSteps: learningPath.totalSteps,
+      completedSteps: learningPath.completedSteps,
+      isCompleted: learningPath.isCompleted,
+      createdAt: learningPath.createdAt,
+      updatedAt: learningPath.updatedAt,
+      includesNotes: share.includeNotes,
+      expiresAt: share.expiresAt || null,
+      steps: (learningPath.steps || []).map(step => ({
+        stepId: step.stepId,
+        title: step.title,
+        description: step.description,
+        category: step.category,
+        estimatedHours: step.estimatedHours,
+        resources: (step.resources || []).map(({ title, url, type }) => ({ title, url, type })),
+        prerequisites: step.prerequisites,
+        completed: step.completed,
+        completedAt: step.completedAt,
+        quizPassed: Boolean(step.quizPassedAt),
+        notes: share.includeNotes ? step.notes : undefined,
+      })),
+    };
+  }
+}
+
+// Export a singleton instance
+export default new ShareService();
@@ -0,0 +1,146 @@
+import mongoose from 'mongoose';
+import BaseService from './BaseService.js';
+import Chat from '../models/ChatModel.js';
+import LearningService from './LearningService.js';
+
+// Longest step list included in a thread's path overview
+const MAX_OVERVIEW_STEPS = 30;
+
+/**
+ * StepThreadService - Class for tutor conversations about a single learning step
+ * A thread is a regular chat with a stepThread link, so messages are sent,
+ * streamed, regenerated and edited through the chat endpoints.
+ * Extends BaseService to inherit common functionality
+ */
+class StepThreadService extends BaseService {
+  /**
+   * Constructor for the step thread service
+   */
+  constructor() {
+    // Pass the Chat model to the base service
+    super(Chat);
+  }
+
+  /**
+   * Get the tutor thread of a step, creating it on first use
+   * @param {string} progressId - Learning path ID
+   * @param {string} stepId - Step ID
+   * @param {string} userId - User ID for authorization
+   * @returns {Promise<Object>} { thread, created }
+   */
+  async openThread(progressId, stepId, userId) {
+    try {
+      const learningPath = await LearningService.getLearningPathById(progressId, userId);
+      
+      const stepIndex = learningPath.steps.findIndex(s => s.stepId === stepId);
+      
+      if (stepIndex === -1) {
+        throw new Error('Step not found in learning path');
+      }
+      
+      const filter = { 'stepThread.learningPathId': learningPath._id, 'stepThread.stepId': stepId };
+      
+      const existing = await this.model.findOne(filter);
+      if (existing) {
+        return { thread: existing, created: false };
+      }
+      
+      const step = learningPath.steps[stepIndex];
+      
+      try {
+        const thread = await this.create({
+          userId: learningPath.userId,
+          title: `Step: ${step.title}`.substring(0, 60),
+          language: learningPath.language,
+          messages: [],
+          stepThread: {
+            learningPathId: learningPath._id,
+            stepId,
+            context: this.buildThreadContext(learningPath, stepIndex),
+          },
+        });
+        
+        return { thread, created: true };
+      } catch (error) {
+        // Another request created the thread first
+        if (error.code === 11000) {
+          return { thread: await this.model.findOne(filter), created: false };
+        }
+        throw error;
+      }
+    } catch (error) {
+      console.error('Error in openThread:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Build the system prompt that primes a thread with its step and path
+   * @param {Object} learningPath - The learning path document
+   * @param {Number} stepIndex - Index of the step the thread is about
+   * @returns {String} The system prompt
+   */
+  buildThreadContext(learningPath, stepIndex) {
+    const step = learningPath.steps[stepIndex];
+    
+    const overview = learningPath.steps
+      .slice(0, MAX_OVERVIEW_STEPS)
+      .map((s, index) => `${index + 1}. ${s.title}${index === stepIndex ? ' <- this step' : ''}`)
+      .join('\n');
+    
+    const lines = [
+      `This conversation is about one step of the learner's path "${learningPath.title}".`,
+      `Step ${stepIndex + 1} of ${learningPath.steps.length}: "${step.title}" (category: ${step.category || 'core'}).`,
+    ];
+    
+    if (step.description) lines.push(`Step description: ${step.description}`);
+    if (learningPath.description) lines.push(`Path overview: ${learningPath.description}`);
+    
+    lines.push(`Steps in the path:\n${overview}`);
+    lines.push('Answer questions about this step. When a question belongs to another step, say which one and keep the answer brief.');
+    
+    return lines.join('\n');
+  }
+
+  /**
+   * Count the messages in each step thread of a learning path
+   * @param {ObjectId|string} learningPathId - Learning path ID
+   * @returns {Promise<Map>} stepId -> { chatId, messageCount }
+   */
+  async getThreadCounts(learningPathId) {
+    const threads = await this.model.aggregate([
+      { $match: { 'stepThread.learningPathId': new mongoose.Types.ObjectId(String(learningPathId)) } },
+      {
+        $project: {
+          stepId: '$stepThread.stepId',
+          messageCount: { $size: { $ifNull: ['$messages', []] } },
+        },
+      },
+    ]);
+    
+    return new Map(threads.map(thread => [
+      thread.stepId,
+      { chatId: thread._id, messageCount: thread.messageCount },
+    ]));
+  }
+
+  /**
+   * Add each step's thread (or null) to a learning path for clients
+   * @param {Object} learningPath - The learning path document
+   * @returns {Promise<Object>} Plain learning path with steps[].thread
+   */
+  async attachThreads(learningPath) {
+    const counts = await this.getThreadCounts(learningPath._id);
+    const path = learningPath.toJSON();
+    
+    path.steps = path.steps.map(step => ({
+      ...step,
+      thread: counts.get(step.stepId) || null,
+    }));
+    
+    return path;
+  }
+}
+
+// Export a singleton instance
+export default new StepThreadService();
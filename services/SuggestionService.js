@@ -0,0 +1,175 @@
+// Tags the model is asked to wrap follow-up questions in
+const OPEN_TAG = '<follow_ups>';
+const CLOSE_TAG = '</follow_ups>';
+
+// Suggestion limits
+const MAX_SUGGESTIONS = 3;
+const MAX_SUGGESTION_LENGTH = 200;
+
+/**
+ * SuggestionService - Class for separating follow-up questions from replies
+ * The system prompt asks the model to put follow-up questions in a
+ * <follow_ups> block; replies that ignore the format fall back to a trailing
+ * paragraph made only of questions.
+ */
+class SuggestionService {
+  /**
+   * Instructions appended to the system prompt
+   * @returns {string} Prompt text describing the follow-up format
+   */
+  getFormatInstructions() {
+    return `When you include follow-up questions, put them after the rest of your answer, one per line, inside
+${OPEN_TAG}
+- first question?
+- second question?
+${CLOSE_TAG}
+Never mention these tags or refer to the questions elsewhere in the answer.`;
+  }
+
+  /**
+   * Split a reply into the answer body and suggested follow-up questions
+   * @param {string} text - Full model reply
+   * @returns {Object} { answer, suggestions } - suggestions is an array of strings
+   */
+  parse(text) {
+    if (!text) return { answer: text, suggestions: [] };
+    
+    const openIndex = text.indexOf(OPEN_TAG);
+    
+    if (openIndex !== -1) {
+      const closeIndex = text.indexOf(CLOSE_TAG, openIndex);
+      const blockEnd = closeIndex === -1 ? text.length : closeIndex + CLOSE_TAG.length;
+      const block = text.substring(openIndex + OPEN_TAG.length, closeIndex === -1 ? text.length : closeIndex);
+      
+      return {
+        answer: (text.substring(0, openIndex) + text.substring(blockEnd)).trim(),
+        suggestions: this.toSuggestions(block.split('\n')),
+      };
+    }
+    
+    return this.parseTrailingQuestions(text);
+  }
+
+  /**
+   * Fallback: treat a final paragraph made only of questions as suggestions
+   * An optional "Follow-up questions:" style heading is removed with it.
+   * @private
+   * @param {string} text - Full model reply
+   * @returns {Object} { answer, suggestions }
+   */
+  parseTrailingQuestions(text) {
+    const none = { answer: text, suggestions: [] };
+    const paragraphs = text.trimEnd().split(/\n{2,}/);
+    if (paragraphs.length < 2) return none;
+    
+    let lines = this.toSuggestions(paragraphs[paragraphs.length - 1].split('\n'), Infinity);
+    let bodyEnd = paragraphs.length - 1;
+    
+    if (lines.length > 0 && this.isFollowUpHeading(lines[0])) {
+      lines = lines.slice(1);
+    } else if (bodyEnd > 1 && this.isFollowUpHeading(this.cleanLine(paragraphs[bodyEnd - 1]))) {
+      bodyEnd -= 1;
+    }
+    
+    const isQuestionList = lines.length > 0 &&
+      lines.length <= MAX_SUGGESTIONS &&
+      lines.every(line => line.endsWith('?'));
+    
+    if (!isQuestionList) return none;
+    
+    return {
+      answer: paragraphs.slice(0, bodyEnd).join('\n\n').trim(),
+      suggestions: this.toSuggestions(lines),
+    };
+  }
+
+  /**
+   * Check whether a line introduces follow-up questions ("Follow-up questions:")
+   * @private
+   * @param {string} line - Cleaned line
+   * @returns {boolean} True for a follow-up heading
+   */
+  isFollowUpHeading(line) {
+    return !line.includes('\n') && line.endsWith(':') && /follow[- ]?up|questions?/i.test(line);
+  }
+
+  /**
+   * Remove bullets, numbering, heading markers and bold markers from a line
+   * @private
+   * @param {string} line - Raw line
+   * @returns {string} Cleaned line
+   */
+  cleanLine(line) {
+    return line
+      .trim()
+      .replace(/^(?:#{1,6}\s+|[-*•]\s+|\d+[.)]\s*)/, '')
+      .replace(/^\*\*|\*\*$/g, '')
+      .trim();
+  }
+
+  /**
+   * Clean bullet markers and keep at most `limit` questions
+   * @private
+   * @param {Array} lines - Raw lines
+   * @param {number} limit - Maximum number of suggestions
+   * @returns {Array} Suggestion texts
+   */
+  toSuggestions(lines, limit = MAX_SUGGESTIONS) {
+    return lines
+      .map(line => this.cleanLine(line))
+      .filter(Boolean)
+      .slice(0, limit)
+      .map(line => line.substring(0, MAX_SUGGESTION_LENGTH));
+  }
+
+  /**
+   * Wrap a token callback so the follow-up block is never streamed
+   * Text that could be the start of the opening tag is held back until it
+   * is clear whether the tag follows.
+   * @param {Function} onToken - Receives answer text only
+   * @returns {Object} { push(text), flush() }
+   */
+  createStreamFilter(onToken) {
+    let pending = '';
+    let suppressed = false;
+    
+    const emit = (text) => {
+      if (text) onToken(text);
+    };
+    
+    return {
+      push: (text) => {
+        if (suppressed) return;
+        
+        pending += text;
+        const tagIndex = pending.indexOf(OPEN_TAG);
+        
+        if (tagIndex !== -1) {
+          emit(pending.substring(0, tagIndex));
+          pending = '';
+          suppressed = true;
+          return;
+        }
+        
+        // Hold back the longest suffix that could still grow into the tag
+        let keep = 0;
+        for (let length = Math.min(OPEN_TAG.length - 1, pending.length); length > 0; length--) {
+          if (OPEN_TAG.startsWith(pending.substring(pending.length - length))) {
+            keep = length;
+            break;
+          }
+        }
+        
+        emit(pending.substring(0, pending.length - keep));
+        pending = pending.substring(pending.length - keep);
+      },
+      flush: () => {
+        if (!suppressed) emit(pending);
+        pending = '';
+      },
+    };
+  }
+}
+
+// Export a singleton instance
+export default new SuggestionService();
@@ -0,0 +1,198 @@
+import BaseService from './BaseService.js';
+import UsageRecord from '../models/UsageRecordModel.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Range of GET /api/usage/:userId
+const DEFAULT_USAGE_DAYS = 30;
+const MAX_USAGE_DAYS = 366;
+
+/**
+ * UsageService - Class for recording LLM token usage and enforcing quotas
+ * Quotas count total tokens per user per UTC day and UTC calendar month and
+ * are set with USAGE_DAILY_TOKEN_LIMIT / USAGE_MONTHLY_TOKEN_LIMIT (unset or
+ * 0 means no limit).
+ * Extends BaseService to inherit common functionality
+ */
+class UsageService extends BaseService {
+  /**
+   * Constructor for the usage service
+   */
+  constructor() {
+    // Pass the UsageRecord model to the base service
+    super(UsageRecord);
+  }
+
+  /**
+   * Record the tokens used by an LLM call
+   * Never throws: a failed write must not fail the request that made the call.
+   * @param {Object} call - { userId, endpoint, provider, model, usage }
+   * @returns {Promise<void>}
+   */
+  async record({ userId, endpoint, provider, model, usage }) {
+    try {
+      await this.model.create({
+        userId: userId || undefined,
+        endpoint,
+        provider,
+        model,
+        promptTokens: usage?.promptTokens || 0,
+        completionTokens: usage?.completionTokens || 0,
+        totalTokens: usage?.totalTokens || 0,
+      });
+    } catch (error) {
+      console.error('Error recording LLM usage:', error.message);
+    }
+  }
+
+  /**
+   * Read the configured quotas
+   * @returns {Object} { daily, monthly } token limits (0 = unlimited)
+   */
+  getQuotaLimits() {
+    const parseLimit = value => {
+      const limit = parseInt(value);
+      return Number.isFinite(limit) && limit > 0 ? limit : 0;
+    };
+
+    return {
+      daily: parseLimit(process.env.USAGE_DAILY_TOKEN_LIMIT),
+      monthly: parseLimit(process.env.USAGE_MONTHLY_TOKEN_LIMIT),
+    };
+  }
+
+  /**
+   * Get a user's token use in the current day and month against the quotas
+   * @param {string} userId - The user ID
+   * @param {Date} now - Current time
+   * @returns {Promise<Object>} { daily, monthly }, each { limit, used, remaining, resetsAt }
+   */
+  async getQuotaStatus(userId, now = new Date()) {
+    const limits = this.getQuotaLimits();
+    const dayStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+
+    // The month always contains the day, so one pass over the month covers both
+    const [totals] = await this.model.aggregate([
+      { $match: { userId, createdAt: { $gte: monthStart } } },
+      {
+        $group: {
+          _id: null,
+          monthly: { $sum: '$totalTokens' },
+          daily: { $sum: { $cond: [{ $gte: ['$createdAt', dayStart] }, '$totalTokens', 0] } },
+        },
+      },
+    ]);
+
+    const describe = (limit, used, resetsAt) => ({
+      limit: limit || null,
+      used,
+      remaining: limit ? Math.max(0, limit - used) : null,
+      resetsAt,
+    });
+
+    return {
+      daily: describe(limits.daily, totals?.daily || 0, new Date(dayStart.getTime() + DAY_MS)),
+      monthly: describe(
+        limits.monthly,
+        totals?.monthly || 0,
+        new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1))
+      ),
+    };
+  }
+
+  /**
+   * Reject a request from a user who has used up a quota
+   * @param {string} userId - The user ID (requests without one are not limited)
+   * @returns {Promise<void>}
+   * @throws {Error} 'Quota exceeded: ...' with statusCode 429 and the exhausted quota in `quota`
+   */
+  async assertWithinQuota(userId) {
+    const limits = this.getQuotaLimits();
+    if (!userId || (!limits.daily && !limits.monthly)) return;
+
+    const status = await this.getQuotaStatus(userId);
+
+    for (const period of ['daily', 'monthly']) {
+      const quota = status[period];
+      if (quota.limit && quota.used >= quota.limit) {
+        const error = new Error(
+          `Quota exceeded: ${period} limit of ${quota.limit} tokens reached, resets at ${quota.resetsAt.toISOString()}`
+        );
+        error.statusCode = 429;
+        error.quota = { period, ...quota };
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Get a user's token use per UTC day
+   * @param {string} userId - The user ID
+   * @param {Object} options - { days } to look back, including today
+   * @returns {Promise<Object>} { from, days, totals, quota }
+   */
+  async getUsage(userId, { days = DEFAULT_USAGE_DAYS } = {}) {
+    try {
+      const count = parseInt(days);
+      if (!Number.isInteger(count) || count < 1 || count > MAX_USAGE_DAYS) {
+        throw new Error(`Invalid days: use a number from 1 to ${MAX_USAGE_DAYS}`);
+      }
+
+      const now = new Date();
+      const from = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()) - (count - 1) * DAY_MS);
+
+      const [rows, quota] = await Promise.all([
+        this.model.aggregate([
+          { $match: { userId, createdAt: { $gte: from } } },
+          {
+            $group: {
+              _id: {
+                date: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone: 'UTC' } },
+                endpoint: '$endpoint',
+              },
+              calls: { $sum: 1 },
+              promptTokens: { $sum: '$promptTokens' },
+              completionTokens: { $sum: '$completionTokens' },
+              totalTokens: { $sum: '$totalTokens' },
+            },
+          },
+          { $sort: { '_id.date': 1, '_id.endpoint': 1 } },
+        ]),
+        this.getQuotaStatus(userId, now),
+      ]);
+
+      const emptyTotals = () => ({ calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 });
+      const addTo = (target, row) => {
+        target.calls += row.calls;
+        target.promptTokens += row.promptTokens;
+        target.completionTokens += row.completionTokens;
+        target.totalTokens += row.totalTokens;
+      };
+
+      // Days without any calls are left out
+      const byDate = new Map();
+      const totals = emptyTotals();
+
+      for (const row of rows) {
+        if (!byDate.has(row._id.date)) {
+          byDate.set(row._id.date, { date: row._id.date, ...emptyTotals(), endpoints: {} });
+        }
+
+        const day = byDate.get(row._id.date);
+        day.endpoints[row._id.endpoint] = emptyTotals();
+        addTo(day.endpoints[row._id.endpoint], row);
+        addTo(day, row);
+        addTo(totals, row);
+      }
+
+      return { from, days: [...byDate.values()], totals, quota };
+    } catch (error) {
+      console.error('Error in getUsage:', error);
+      throw error;
+    }
+  }
+}
+
+// Export a singleton instance
+export default new UsageService();
@@ -0,0 +1,106 @@
+import BaseService from './BaseService.js';
+import UserPreference from '../models/UserPreferenceModel.js';
+import LanguageService from './LanguageService.js';
+
+// Fields returned to clients
+const PREFERENCE_FIELDS = 'userId language updatedAt';
+
+/**
+ * UserPreferenceService - Class for per-user preferences
+ * Extends BaseService to inherit common functionality
+ */
+class UserPreferenceService extends BaseService {
+  /**
+   * Constructor for the user preference service
+   */
+  constructor() {
+    // Pass the UserPreference model to the base service
+    super(UserPreference);
+  }
+
+  /**
+   * Get a user's preferences, with defaults for anything not set
+   * @param {string} userId - The user ID
+   * @returns {Promise<Object>} { userId, language, updatedAt }
+   */
+  async getPreferences(userId) {
+    try {
+      const preferences = await this.model.findOne({ userId }).select(PREFERENCE_FIELDS).lean();
+
+      return {
+        userId,
+        language: preferences?.language || LanguageService.getDefaultLanguage(),
+        updatedAt: preferences?.updatedAt || null,
+      };
+    } catch (error) {
+      console.error('Error in getPreferences:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a user's preferences, creating them on first use
+   * @param {string} userId - The user ID
+   * @param {Object} updates - { language }
+   * @returns {Promise<Object>} The updated preferences
+   */
+  async updatePreferences(userId, { language }) {
+    try {
+      const update = {
+        $set: { updatedAt: new Date() },
+        $setOnInsert: { createdAt: new Date() },
+      };
+
+      // null clears a preference, undefined leaves it alone
+      if (language === null) {
+        update.$unset = { language: 1 };
+      } else if (language !== undefined) {
+        update.$set.language = LanguageService.normalize(language);
+      }
+
+      const preferences = await this.model.findOneAndUpdate(
+        { userId },
+        update,
+        { new: true, upsert: true }
+      ).select(PREFERENCE_FIELDS).lean();
+
+      return {
+        userId,
+        language: preferences.language || LanguageService.getDefaultLanguage(),
+        updatedAt: preferences.updatedAt,
+      };
+    } catch (error) {
+      console.error('Error in updatePreferences:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Pick the reply language: the first language given, then the user's stored
+   * preference, then the default
+   * @param {string} userId - The user ID (may be empty)
+   * @param {...string} languages - Candidates in priority order, e.g. request then chat
+   * @returns {Promise<string>} Canonical language code
+   */
+  async resolveLanguage(userId, ...languages) {
+    const chosen = languages.find(language => language);
+    if (chosen) {
+      return LanguageService.normalize(chosen);
+    }
+
+    if (userId) {
+      try {
+        const preferences = await this.model.findOne({ userId }).select('language').lean();
+        if (preferences?.language) return preferences.language;
+      } catch (error) {
+        // A missing preference must not block a reply
+        console.error('Error reading language preference:', error.message);
+      }
+    }
+
+    return LanguageService.getDefaultLanguage();
+  }
+}
+
+// Export a singleton instance
+export default new UserPreferenceService();
@@ -0,0 +1,306 @@
+import BaseService from './BaseService.js';
+import UserProfile from '../models/UserProfileModel.js';
+import PromptService from './PromptService.js';
+
+// Values allowed by the user profile schema
+const EXPERIENCE_LEVELS = ['beginner', 'intermediate', 'advanced'];
+const RESOURCE_TYPES = ['documentation', 'tutorial', 'course', 'book', 'video', 'article', 'project', 'other'];
+
+// Limits on free text lists
+const MAX_TECHNOLOGIES = 50;
+const MAX_GOALS = 10;
+const MAX_TECHNOLOGY_LENGTH = 60;
+const MAX_GOAL_LENGTH = 200;
+
+// Fields a client can set
+const PROFILE_FIELDS = ['experienceLevel', 'knownTechnologies', 'goals', 'weeklyHours', 'preferredResourceTypes'];
+
+/**
+ * UserProfileService - Class for learner profiles
+ * A profile tells the model what the learner already knows and how much
+ * time they have, so answers and learning paths fit them.
+ * Extends BaseService to inherit common functionality
+ */
+class UserProfileService extends BaseService {
+  /**
+   * Constructor for the user profile service
+   */
+  constructor() {
+    // Pass the UserProfile model to the base service
+    super(UserProfile);
+  }
+
+  /**
+   * Get a user's profile
+   * @param {string} userId - The user ID
+   * @returns {Promise<Object>} The profile
+   */
+  async getProfile(userId) {
+    try {
+      const profile = await this.model.findOne({ userId }).lean();
+      if (!profile) {
+        throw new Error('Profile not found');
+      }
+
+      return this.toClientProfile(profile);
+    } catch (error) {
+      console.error('Error in getProfile:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create or replace a user's profile; fields left out are cleared
+   * @param {string} userId - The user ID
+   * @param {Object} data - { experienceLevel, knownTechnologies, goals, weeklyHours, preferredResourceTypes }
+   * @returns {Promise<Object>} { profile, created }
+   */
+  async replaceProfile(userId, data) {
+    try {
+      const fields = this.normalizeProfile(data);
+      const unset = Object.fromEntries(
+        PROFILE_FIELDS.filter(field => fields[field] === undefined).map(field => [field, 1])
+      );
+
+      const update = {
+        $set: { ...this.definedFields(fields), updatedAt: new Date() },
+        $setOnInsert: { createdAt: new Date() },
+      };
+      if (Object.keys(unset).length > 0) update.$unset = unset;
+
+      const result = await this.model.findOneAndUpdate(
+        { userId },
+        update,
+        { new: true, upsert: true, runValidators: true, includeResultMetadata: true }
+      ).lean();
+
+      return {
+        profile: this.toClientProfile(result.value),
+        created: !result.lastErrorObject?.updatedExisting,
+      };
+    } catch (error) {
+      console.error('Error in replaceProfile:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update some fields of an existing profile; null clears a field
+   * @param {string} userId - The user ID
+   * @param {Object} data - Fields to change
+   * @returns {Promise<Object>} The updated profile
+   */
+  async updateProfile(userId, data) {
+    try {
+      const fields = this.normalizeProfile(data, { partial: true });
+      const cleared = PROFILE_FIELDS.filter(field => fields[field] === null);
+
+      const update = { $set: { ...this.definedFields(fields), updatedAt: new Date() } };
+      if (cleared.length > 0) {
+        update.$unset = Object.fromEntries(cleared.map(field => [field, 1]));
+      }
+
+      const profile = await this.model.findOneAndUpdate(
+        { userId },
+        update,
+        { new: true, runValidators: true }
+      ).lean();
+
+      if (!profile) {
+        throw new Error('Profile not found');
+      }
+
+      return this.toClientProfile(profile);
+    } catch (error) {
+      console.error('Error in updateProfile:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a user's profile
+   * @param {string} userId - The user ID
+   * @returns {Promise<void>}
+   */
+  async deleteProfile(userId) {
+    try {
+      const result = await this.model.deleteOne({ userId });
+      if (result.deletedCount === 0) {
+        throw new Error('Profile not found');
+      }
+    } catch (error) {
+      console.error('Error in deleteProfile:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Load a profile for prompting, without failing the caller
+   * @param {string} userId - The user ID (may be empty)
+   * @returns {Promise<Object|null>} Plain profile object, or null when there is none
+   */
+  async findProfile(userId) {
+    if (!userId) return null;
+
+    try {
+      return await this.model.findOne({ userId }).lean();
+    } catch (error) {
+      // A missing profile must not block a reply
+      console.error('Error reading user profile:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Validate profile fields from a request
+   * @private
+   * @param {Object} data - Request body
+   * @param {Object} options - { partial } to leave missing fields undefined and allow null
+   * @returns {Object} Normalized fields (undefined when not given, null when cleared)
+   */
+  normalizeProfile(data, { partial = false } = {}) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('Invalid profile: expected an object');
+    }
+
+    const fields = {};
+
+    for (const field of PROFILE_FIELDS) {
+      const value = data[field];
+
+      if (value === undefined || value === null) {
+        fields[field] = partial ? value : undefined;
+        continue;
+      }
+
+      switch (field) {
+        case 'experienceLevel':
+          if (!EXPERIENCE_LEVELS.includes(value)) {
+            throw new Error(`Invalid profile: experienceLevel must be one of ${EXPERIENCE_LEVELS.join(', ')}`);
+          }
+          fields[field] = value;
+          break;
+        case 'weeklyHours': {
+          const hours = Number(value);
+          if (!Number.isFinite(hours) || hours <= 0 || hours > 168) {
+            throw new Error('Invalid profile: weeklyHours must be a number between 0 and 168');
+          }
+          fields[field] = Math.round(hours * 10) / 10;
+          break;
+        }
+        case 'preferredResourceTypes':
+          fields[field] = this.normalizeList(value, field);
+          if (fields[field].some(type => !RESOURCE_TYPES.includes(type))) {
+            throw new Error(`Invalid profile: preferredResourceTypes may only contain ${RESOURCE_TYPES.join(', ')}`);
+          }
+          break;
+        case 'knownTechnologies':
+          fields[field] = this.normalizeList(value, field, MAX_TECHNOLOGIES, MAX_TECHNOLOGY_LENGTH);
+          break;
+        case 'goals':
+          fields[field] = this.normalizeList(value, field, MAX_GOALS, MAX_GOAL_LENGTH);
+          break;
+      }
+    }
+
+    return fields;
+  }
+
+  /**
+   * Trim a list of strings and drop empty entries and duplicates
+   * @private
+   * @param {Array} value - List from the request
+   * @param {string} field - Field name for error messages
+   * @param {number} maxItems - Longest allowed list
+   * @param {number} maxLength - Longest allowed entry
+   * @returns {Array} Normalized list
+   */
+  normalizeList(value, field, maxItems = RESOURCE_TYPES.length, maxLength = Infinity) {
+    if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+      throw new Error(`Invalid profile: ${field} must be an array of strings`);
+    }
+
+    const seen = new Set();
+    const items = value
+      .map(item => item.trim())
+      .filter(item => {
+        const key = item.toLowerCase();
+        if (!item || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+
+    if (items.length > maxItems) {
+      throw new Error(`Invalid profile: ${field} may have at most ${maxItems} entries`);
+    }
+    if (items.some(item => item.length > maxLength)) {
+      throw new Error(`Invalid profile: ${field} entries may be at most ${maxLength} characters`);
+    }
+
+    return items;
+  }
+
+  /**
+   * Keep the fields that have a value
+   * @private
+   * @param {Object} fields - Normalized fields
+   * @returns {Object} Fields to $set
+   */
+  definedFields(fields) {
+    return Object.fromEntries(
+      Object.entries(fields).filter(([, value]) => value !== undefined && value !== null)
+    );
+  }
+
+  /**
+   * Render the profile instruction for the model
+   * @param {Object} profile - Plain profile object (may be null)
+   * @returns {Object|null} Rendered prompt ({ text, id, version }), or null when there is nothing to say
+   */
+  getInstruction(profile) {
+    if (!profile) return null;
+
+    const details = [];
+    if (profile.experienceLevel) details.push(`- Experience level: ${profile.experienceLevel}`);
+    if (profile.knownTechnologies?.length) details.push(`- Already knows: ${profile.knownTechnologies.join(', ')}`);
+    if (profile.goals?.length) details.push(`- Goals: ${profile.goals.join('; ')}`);
+    if (profile.weeklyHours) details.push(`- Time available: ${profile.weeklyHours} hours a week`);
+    if (profile.preferredResourceTypes?.length) details.push(`- Prefers: ${profile.preferredResourceTypes.join(', ')}`);
+
+    if (details.length === 0) return null;
+
+    return PromptService.render('learner-profile', { profileDetails: details.join('\n') });
+  }
+
+  /**
+   * Build the system messages that describe the learner
+   * @param {Object} profile - Plain profile object (may be null)
+   * @returns {Array} Zero or one provider-neutral system message
+   */
+  getSystemMessages(profile) {
+    const instruction = this.getInstruction(profile);
+    return instruction ? [{ role: 'system', content: instruction.text }] : [];
+  }
+
+  /**
+   * Format a profile for clients
+   * @private
+   * @param {Object} profile - Plain profile object
+   * @returns {Object} The profile without internal fields
+   */
+  toClientProfile(profile) {
+    return {
+      userId: profile.userId,
+      experienceLevel: profile.experienceLevel || null,
+      knownTechnologies: profile.knownTechnologies || [],
+      goals: profile.goals || [],
+      weeklyHours: profile.weeklyHours ?? null,
+      preferredResourceTypes: profile.preferredResourceTypes || [],
+      createdAt: profile.createdAt,
+      updatedAt: profile.updatedAt,
+    };
+  }
+}
+
+// Export a singleton instance
+export default new UserProfileService();
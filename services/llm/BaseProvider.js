@@ -0,0 +1,116 @@
+/**
+ * BaseProvider - Abstract base class for all LLM provider adapters
+ * Adapters translate our provider-neutral messages into a vendor request
+ *
+ * Messages use the shape { role: 'system' | 'user' | 'assistant', content }
+ * and generation config uses { temperature, topK, topP, maxOutputTokens }.
+ * A `responseSchema` (JSON Schema subset) in the config asks for JSON output.
+ */
+class BaseProvider {
+  /**
+   * Constructor for the base provider
+   * @param {String} name - Provider name used in configuration
+   * @param {Object} options - Provider specific options (API keys, base URLs)
+   */
+  constructor(name, options = {}) {
+    // Prevent direct instantiation of the abstract class
+    if (new.target === BaseProvider) {
+      throw new Error('BaseProvider is an abstract class and cannot be instantiated directly.');
+    }
+
+    this.name = name;
+    this.options = options;
+  }
+
+  /**
+   * Generate a complete response
+   * @param {Array} messages - Provider-neutral conversation messages
+   * @param {Object} config - Model name and generation config
+   * @returns {Promise<Object>} { text, model, usage }
+   */
+  async generate(messages, config) {
+    throw new Error(`${this.constructor.name} must implement generate()`);
+  }
+
+  /**
+   * Generate a response incrementally
+   * @param {Array} messages - Provider-neutral conversation messages
+   * @param {Object} config - Model name and generation config
+   * @param {Function} onToken - Called with every text chunk as it arrives
+   * @param {AbortSignal} signal - Optional signal to cancel the request
+   * @returns {Promise<Object>} { text, model, usage } once the stream ends
+   */
+  async stream(messages, config, onToken, signal) {
+    throw new Error(`${this.constructor.name} must implement stream()`);
+  }
+
+  /**
+   * Check whether the provider has what it needs to make requests
+   * @returns {Boolean} True when the provider is usable
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * Build a normalized usage object
+   * @protected
+   * @param {Number} promptTokens - Tokens consumed by the prompt
+   * @param {Number} completionTokens - Tokens produced by the model
+   * @returns {Object} Usage counts
+   */
+  createUsage(promptTokens = 0, completionTokens = 0) {
+    return {
+      promptTokens,
+      completionTokens,
+      totalTokens: promptTokens + completionTokens,
+    };
+  }
+
+  /**
+   * Read a Server-Sent Events body and yield the data payload of each event
+   * @protected
+   * @param {ReadableStream} body - Node readable stream from axios
+   * @returns {AsyncGenerator<String>} Data payloads in arrival order
+   */
+  async *readEventStream(body) {
+    // A multi-byte character can be split across chunks, so decode in streaming mode
+    const decoder = new TextDecoder('utf-8');
+    let buffer = '';
+
+    for await (const chunk of body) {
+      buffer += decoder.decode(chunk, { stream: true });
+
+      // Events are separated by a blank line; keep the trailing partial event
+      const events = buffer.split(/\r?\n\r?\n/);
+      buffer = events.pop();
+
+      for (const event of events) {
+        const data = this.parseEventData(event);
+        if (data) yield data;
+      }
+    }
+
+    buffer += decoder.decode();
+
+    // Some servers close the stream without a final blank line
+    const data = this.parseEventData(buffer);
+    if (data) yield data;
+  }
+
+  /**
+   * Join the `data:` lines of a single Server-Sent Event
+   * @private
+   * @param {String} event - Raw event text
+   * @returns {String} The data payload (empty if there is none)
+   */
+  parseEventData(event) {
+    return event
+      .split(/\r?\n/)
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.slice(5).trim())
+      .join('');
+  }
+}
+
+export default BaseProvider;
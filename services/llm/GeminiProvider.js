@@ -0,0 +1,200 @@
+import axios from 'axios';
+import BaseProvider from './BaseProvider.js';
+
+const GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+
+/**
+ * GeminiProvider - Adapter for the Google Gemini generateContent API
+ * Extends BaseProvider to share streaming and usage helpers
+ */
+class GeminiProvider extends BaseProvider {
+  /**
+   * Constructor for the Gemini provider
+   * @param {Object} options - { apiKey, baseURL }
+   */
+  constructor(options = {}) {
+    super('gemini', {
+      apiKey: process.env.GEMINI_API_KEY,
+      baseURL: process.env.GEMINI_BASE_URL || GEMINI_BASE_URL,
+      ...options,
+    });
+  }
+
+  /**
+   * Gemini needs an API key
+   * @returns {Boolean} True when GEMINI_API_KEY is set
+   */
+  isConfigured() {
+    return !!this.options.apiKey;
+  }
+
+  /**
+   * Generate a complete response
+   * @param {Array} messages - Provider-neutral conversation messages
+   * @param {Object} config - Model name and generation config
+   * @returns {Promise<Object>} { text, model, usage }
+   */
+  async generate(messages, config) {
+    const response = await axios.post(
+      this.buildUrl(config.model, 'generateContent'),
+      this.buildRequest(messages, config),
+      { headers: this.buildHeaders() }
+    );
+
+    const generatedContent = response.data.candidates?.[0]?.content;
+
+    if (!generatedContent) {
+      throw new Error('No content generated by Gemini API');
+    }
+
+    return {
+      text: this.extractText(generatedContent),
+      model: config.model,
+      usage: this.parseUsage(response.data.usageMetadata),
+    };
+  }
+
+  /**
+   * Generate a response incrementally using the SSE variant of the API
+   * @param {Array} messages - Provider-neutral conversation messages
+   * @param {Object} config - Model name and generation config
+   * @param {Function} onToken - Called with every text chunk as it arrives
+   * @param {AbortSignal} signal - Optional signal to cancel the request
+   * @returns {Promise<Object>} { text, model, usage } once the stream ends
+   */
+  async stream(messages, config, onToken, signal) {
+    const response = await axios.post(
+      `${this.buildUrl(config.model, 'streamGenerateContent')}?alt=sse`,
+      this.buildRequest(messages, config),
+      { headers: this.buildHeaders(), responseType: 'stream', signal }
+    );
+
+    let text = '';
+    let usageMetadata;
+
+    for await (const data of this.readEventStream(response.data)) {
+      const parsed = JSON.parse(data);
+      const chunk = this.extractText(parsed.candidates?.[0]?.content);
+
+      if (parsed.usageMetadata) {
+        usageMetadata = parsed.usageMetadata;
+      }
+
+      if (chunk) {
+        text += chunk;
+        onToken(chunk);
+      }
+    }
+
+    return {
+      text,
+      model: config.model,
+      usage: this.parseUsage(usageMetadata),
+    };
+  }
+
+  /**
+   * Build the endpoint URL for a model and method
+   * @private
+   */
+  buildUrl(model, method) {
+    return `${this.options.baseURL}/models/${model}:${method}`;
+  }
+
+  /**
+   * Send the API key as a header so it never ends up in URLs or logs
+   * @private
+   */
+  buildHeaders() {
+    return { 'x-goog-api-key': this.options.apiKey };
+  }
+
+  /**
+   * Translate neutral messages and config into a Gemini request body
+   * @private
+   */
+  buildRequest(messages, config) {
+    const systemText = messages
+      .filter(message => message.role === 'system')
+      .map(message => message.content)
+      .join('\n\n');
+
+    const request = {
+      contents: messages
+        .filter(message => message.role !== 'system')
+        .map(message => ({
+          role: message.role === 'assistant' ? 'model' : 'user',
+          parts: [{ text: message.content }],
+        })),
+      generationConfig: {
+        temperature: config.temperature,
+        topK: config.topK,
+        topP: config.topP,
+        maxOutputTokens: config.maxOutputTokens,
+      },
+    };
+
+    if (systemText) {
+      request.systemInstruction = { parts: [{ text: systemText }] };
+    }
+
+    if (config.responseSchema) {
+      request.generationConfig.responseMimeType = 'application/json';
+      request.generationConfig.responseSchema = this.toGeminiSchema(config.responseSchema);
+    }
+
+    return request;
+  }
+
+  /**
+   * Convert a JSON Schema subset to Gemini's OpenAPI-style schema
+   * Gemini expects upper-case type names and rejects keywords it doesn't know.
+   * @private
+   */
+  toGeminiSchema(schema) {
+    const converted = {};
+
+    for (const key of ['description', 'enum', 'required', 'minItems', 'maxItems', 'nullable']) {
+      if (schema[key] !== undefined) converted[key] = schema[key];
+    }
+
+    if (schema.type) {
+      converted.type = schema.type.toUpperCase();
+    }
+
+    if (schema.items) {
+      converted.items = this.toGeminiSchema(schema.items);
+    }
+
+    if (schema.properties) {
+      converted.properties = Object.fromEntries(
+        Object.entries(schema.properties).map(([name, property]) => [name, this.toGeminiSchema(property)])
+      );
+    }
+
+    return converted;
+  }
+
+  /**
+   * Concatenate the text parts of a Gemini content object
+   * @private
+   */
+  extractText(content) {
+    return (content?.parts || [])
+      .map(part => part.text || '')
+      .join('');
+  }
+
+  /**
+   * Normalize Gemini usageMetadata
+   * @private
+   */
+  parseUsage(usageMetadata = {}) {
+    return this.createUsage(
+      usageMetadata.promptTokenCount || 0,
+      usageMetadata.candidatesTokenCount || 0
+    );
+  }
+}
+
+export default GeminiProvider;
@@ -0,0 +1,138 @@
+import BaseProvider from './BaseProvider.js';
+
+/**
+ * MockProvider - Deterministic provider for tests and offline development
+ * The same messages always produce the same reply and no network is used.
+ */
+class MockProvider extends BaseProvider {
+  /**
+   * Constructor for the mock provider
+   * @param {Object} options - { latencyMs } delay between streamed tokens
+   */
+  constructor(options = {}) {
+    super('mock', {
+      latencyMs: parseInt(process.env.MOCK_LLM_LATENCY_MS || '0'),
+      ...options,
+    });
+  }
+
+  /**
+   * Generate a complete response
+   * @param {Array} messages - Provider-neutral conversation messages
+   * @param {Object} config - Model name and generation config
+   * @returns {Promise<Object>} { text, model, usage }
+   */
+  async generate(messages, config) {
+    const text = config.responseSchema
+      ? JSON.stringify(this.buildFromSchema(config.responseSchema, 'response'))
+      : this.buildReply(messages);
+
+    return {
+      text,
+      model: config.model,
+      usage: this.estimateUsage(messages, text),
+    };
+  }
+
+  /**
+   * Stream the deterministic reply word by word
+   * @param {Array} messages - Provider-neutral conversation messages
+   * @param {Object} config - Model name and generation config
+   * @param {Function} onToken - Called with every text chunk
+   * @param {AbortSignal} signal - Optional signal to cancel the stream
+   * @returns {Promise<Object>} { text, model, usage } once the stream ends
+   */
+  async stream(messages, config, onToken, signal) {
+    const text = this.buildReply(messages);
+    const tokens = text.match(/\S+\s*/g) || [];
+
+    for (const token of tokens) {
+      if (signal?.aborted) {
+        const error = new Error('Mock stream aborted');
+        error.name = 'AbortError';
+        throw error;
+      }
+
+      if (this.options.latencyMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, this.options.latencyMs));
+      }
+
+      onToken(token);
+    }
+
+    return {
+      text,
+      model: config.model,
+      usage: this.estimateUsage(messages, text),
+    };
+  }
+
+  /**
+   * Build a reply from the last user message
+   * Learning path requests get a numbered list so step extraction can be exercised.
+   * @private
+   */
+  buildReply(messages) {
+    const lastUserMessage = [...messages].reverse().find(message => message.role === 'user');
+    const prompt = (lastUserMessage?.content || '').trim();
+
+    const topic = prompt.match(/learning path for (.+?)\./i)?.[1];
+
+    if (topic) {
+
+      return [
+        `Here is a learning path for ${topic}.`,
+        '',
+        `1. Prerequisites for ${topic}`,
+        `2. Core concepts of ${topic}`,
+        `3. Practice project using ${topic}`,
+        `4. Advanced ${topic} topics`,
+        '',
+        'Which part are you most interested in?',
+      ].join('\n');
+    }
+
+    const firstLine = prompt.split('\n')[0];
+    return `Mock response to: ${firstLine}`;
+  }
+
+  /**
+   * Build a deterministic value that satisfies a JSON Schema subset
+   * @private
+   */
+  buildFromSchema(schema, name) {
+    if (schema.enum) return schema.enum[0];
+
+    switch (schema.type) {
+      case 'object':
+        return Object.fromEntries(
+          Object.entries(schema.properties || {}).map(([key, property]) => [key, this.buildFromSchema(property, key)])
+        );
+      case 'array':
+        return Array.from(
+          { length: Math.max(schema.minItems || 0, 3) },
+          (value, index) => this.buildFromSchema(schema.items, `${name} ${index + 1}`)
+        );
+      case 'integer':
+      case 'number':
+        return 1;
+      case 'boolean':
+        return true;
+      default:
+        return `Mock ${name}`;
+    }
+  }
+
+  /**
+   * Approximate usage by counting words
+   * @private
+   */
+  estimateUsage(messages, text) {
+    const countWords = value => (value.match(/\S+/g) || []).length;
+    const promptTokens = messages.reduce((total, message) => total + countWords(message.content || ''), 0);
+
+    return this.createUsage(promptTokens, countWords(text));
+  }
+}
+
+export default MockProvider;
@@ -0,0 +1,155 @@
+import axios from 'axios';
+import BaseProvider from './BaseProvider.js';
+
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+
+/**
+ * OpenAIProvider - Adapter for OpenAI-compatible chat completion APIs
+ * Also covers local servers such as Ollama and llama.cpp, which expose the
+ * same /chat/completions endpoint under a different base URL.
+ */
+class OpenAIProvider extends BaseProvider {
+  /**
+   * Constructor for the OpenAI-compatible provider
+   * @param {Object} options - { apiKey, baseURL }
+   */
+  constructor(options = {}) {
+    super('openai', {
+      apiKey: process.env.OPENAI_API_KEY,
+      baseURL: (process.env.OPENAI_BASE_URL || OPENAI_BASE_URL).replace(/\/+$/, ''),
+      ...options,
+    });
+
+    // The hosted API rejects unknown parameters, local servers accept extras like top_k
+    this.isHostedApi = this.options.baseURL.startsWith(OPENAI_BASE_URL);
+  }
+
+  /**
+   * The hosted API needs a key, local servers usually don't
+   * @returns {Boolean} True when the provider is usable
+   */
+  isConfigured() {
+    return !this.isHostedApi || !!this.options.apiKey;
+  }
+
+  /**
+   * Generate a complete response
+   * @param {Array} messages - Provider-neutral conversation messages
+   * @param {Object} config - Model name and generation config
+   * @returns {Promise<Object>} { text, model, usage }
+   */
+  async generate(messages, config) {
+    const response = await axios.post(
+      `${this.options.baseURL}/chat/completions`,
+      this.buildRequest(messages, config),
+      { headers: this.buildHeaders() }
+    );
+
+    const choice = response.data.choices?.[0];
+
+    if (!choice?.message) {
+      throw new Error('No content generated by OpenAI-compatible API');
+    }
+
+    return {
+      text: choice.message.content || '',
+      model: response.data.model || config.model,
+      usage: this.parseUsage(response.data.usage),
+    };
+  }
+
+  /**
+   * Generate a response incrementally
+   * @param {Array} messages - Provider-neutral conversation messages
+   * @param {Object} config - Model name and generation config
+   * @param {Function} onToken - Called with every text chunk as it arrives
+   * @param {AbortSignal} signal - Optional signal to cancel the request
+   * @returns {Promise<Object>} { text, model, usage } once the stream ends
+   */
+  async stream(messages, config, onToken, signal) {
+    const request = { ...this.buildRequest(messages, config), stream: true };
+    if (this.isHostedApi) {
+      request.stream_options = { include_usage: true };
+    }
+
+    const response = await axios.post(
+      `${this.options.baseURL}/chat/completions`,
+      request,
+      { headers: this.buildHeaders(), responseType: 'stream', signal }
+    );
+
+    let text = '';
+    let usage;
+    let model = config.model;
+
+    for await (const data of this.readEventStream(response.data)) {
+      if (data === '[DONE]') break;
+
+      const parsed = JSON.parse(data);
+      const chunk = parsed.choices?.[0]?.delta?.content;
+
+      if (parsed.model) model = parsed.model;
+      if (parsed.usage) usage = parsed.usage;
+
+      if (chunk) {
+        text += chunk;
+        onToken(chunk);
+      }
+    }
+
+    return { text, model, usage: this.parseUsage(usage) };
+  }
+
+  /**
+   * Build request headers, omitting Authorization for keyless local servers
+   * @private
+   */
+  buildHeaders() {
+    return this.options.apiKey
+      ? { Authorization: `Bearer ${this.options.apiKey}` }
+      : {};
+  }
+
+  /**
+   * Translate neutral messages and config into a chat completion request
+   * @private
+   */
+  buildRequest(messages, config) {
+    const request = {
+      model: config.model,
+      messages: messages.map(message => ({
+        role: message.role,
+        content: message.content,
+      })),
+      temperature: config.temperature,
+      top_p: config.topP,
+      max_tokens: config.maxOutputTokens,
+    };
+
+    if (!this.isHostedApi && config.topK !== undefined) {
+      request.top_k = config.topK;
+    }
+
+    if (config.responseSchema) {
+      request.response_format = {
+        type: 'json_schema',
+        json_schema: {
+          name: config.responseSchemaName || 'response',
+          schema: config.responseSchema,
+        },
+      };
+    }
+
+    return request;
+  }
+
+  /**
+   * Normalize OpenAI usage counts
+   * @private
+   */
+  parseUsage(usage = {}) {
+    return this.createUsage(usage.prompt_tokens || 0, usage.completion_tokens || 0);
+  }
+}
+
+export default OpenAIProvider;
@@ -0,0 +1,108 @@
+/**
+ * LLM configuration
+ * Every LLM-backed endpoint has its own provider, model and generation config.
+ * Values come from environment variables, e.g. for the `explainStep` endpoint:
+ *
+ *   EXPLAIN_STEP_LLM_PROVIDER, EXPLAIN_STEP_LLM_MODEL, EXPLAIN_STEP_LLM_TEMPERATURE,
+ *   EXPLAIN_STEP_LLM_TOP_K, EXPLAIN_STEP_LLM_TOP_P, EXPLAIN_STEP_LLM_MAX_OUTPUT_TOKENS
+ *
+ * Unset values fall back to LLM_PROVIDER / LLM_MODEL and then to the defaults below.
+ */
+
+// Default model for each provider when no model is configured
+export const DEFAULT_MODELS = {
+  gemini: 'gemini-2.0-flash',
+  openai: 'gpt-4o-mini',
+  mock: 'mock-1',
+};
+
+// Default generation config for each endpoint
+export const ENDPOINT_DEFAULTS = {
+  chat: {
+    temperature: 0.7,
+    topK: 32,
+    topP: 0.95,
+    maxOutputTokens: 4096,
+  },
+  explainStep: {
+    temperature: 0.7,
+    topK: 32,
+    topP: 0.95,
+    maxOutputTokens: 1024,
+  },
+  flashcards: {
+    temperature: 0.4,
+    topK: 32,
+    topP: 0.95,
+    maxOutputTokens: 1024,
+  },
+  learningPath: {
+    temperature: 0.4,
+    topK: 32,
+    topP: 0.95,
+    maxOutputTokens: 4096,
+  },
+  quiz: {
+    temperature: 0.5,
+    topK: 32,
+    topP: 0.95,
+    maxOutputTokens: 2048,
+  },
+  title: {
+    temperature: 0.3,
+    topK: 32,
+    topP: 0.95,
+    maxOutputTokens: 32,
+  },
+  summary: {
+    temperature: 0.3,
+    topK: 32,
+    topP: 0.95,
+    maxOutputTokens: 512,
+  },
+};
+
+/**
+ * Convert an endpoint name to its environment variable prefix
+ * @param {String} endpoint - Endpoint name, e.g. 'explainStep'
+ * @returns {String} Prefix, e.g. 'EXPLAIN_STEP_LLM_'
+ */
+function envPrefix(endpoint) {
+  return `${endpoint.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase()}_LLM_`;
+}
+
+/**
+ * Read a numeric environment variable
+ * @param {String} name - Variable name
+ * @param {Number} fallback - Value to use when unset or invalid
+ * @returns {Number} The parsed value
+ */
+function readNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+/**
+ * Resolve the provider, model and generation config for an endpoint
+ * @param {String} endpoint - Endpoint name (a key of ENDPOINT_DEFAULTS)
+ * @returns {Object} { provider, model, temperature, topK, topP, maxOutputTokens }
+ */
+export function getEndpointConfig(endpoint) {
+  const defaults = ENDPOINT_DEFAULTS[endpoint];
+  if (!defaults) {
+    throw new Error(`Unknown LLM endpoint: ${endpoint}`);
+  }
+
+  const prefix = envPrefix(endpoint);
+  const provider = (process.env[`${prefix}PROVIDER`] || process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+  const model = process.env[`${prefix}MODEL`] || process.env.LLM_MODEL || DEFAULT_MODELS[provider];
+
+  return {
+    provider,
+    model,
+    temperature: readNumber(`${prefix}TEMPERATURE`, defaults.temperature),
+    topK: readNumber(`${prefix}TOP_K`, defaults.topK),
+    topP: readNumber(`${prefix}TOP_P`, defaults.topP),
+    maxOutputTokens: readNumber(`${prefix}MAX_OUTPUT_TOKENS`, defaults.maxOutputTokens),
+  };
+}
@@ -0,0 +1,39 @@
+/**
+ * Token estimates
+ * Used where a provider's own counts are not available: context window
+ * budgeting and the usage of streams that were cancelled before the provider
+ * reported their tokens.
+ */
+
+// Per-message overhead for role markers and separators
+export const MESSAGE_TOKEN_OVERHEAD = 4;
+
+/**
+ * Estimate the number of tokens in a piece of text
+ * Counts one token per ~4 characters of each word, one per punctuation mark
+ * and one per CJK character, which tracks BPE tokenizers closely for prose and code.
+ * @param {String} text - Text to measure
+ * @returns {Number} Estimated token count
+ */
+export function estimateTokenCount(text) {
+  if (!text) return 0;
+
+  const pieces = text.match(/[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]|[\p{L}\p{N}_]+|[^\s\p{L}\p{N}_]/gu) || [];
+
+  return pieces.reduce(
+    (total, piece) => total + (piece.length > 1 ? Math.ceil(piece.length / 4) : 1),
+    0
+  );
+}
+
+/**
+ * Estimate the tokens of a set of messages
+ * @param {Array} messages - Provider-neutral messages ({ role, content })
+ * @returns {Number} Estimated token count including per-message overhead
+ */
+export function estimateMessagesTokenCount(messages) {
+  return messages.reduce(
+    (total, message) => total + estimateTokenCount(message.content) + MESSAGE_TOKEN_OVERHEAD,
+    0
+  );
+}
@@ -0,0 +1,37 @@
+/**
+ * BaseStore - Abstract base class for rate limit counter stores
+ * A store counts hits per key in fixed windows: the first hit of a key opens
+ * a window of windowMs, and the count starts over once it has passed.
+ */
+class BaseStore {
+  /**
+   * Constructor for the base store
+   */
+  constructor() {
+    // Prevent direct instantiation of the abstract class
+    if (new.target === BaseStore) {
+      throw new Error('BaseStore is an abstract class and cannot be instantiated directly.');
+    }
+  }
+
+  /**
+   * Count a hit for a key
+   * @param {String} key - Bucket and client, e.g. 'llm:user:42'
+   * @param {Number} windowMs - Window length for a new window
+   * @returns {Promise<Object>} { count, resetAt } for the current window
+   */
+  async increment(key, windowMs) {
+    throw new Error(`${this.constructor.name} must implement increment()`);
+  }
+
+  /**
+   * Forget the count of a key
+   * @param {String} key - Bucket and client
+   * @returns {Promise<void>}
+   */
+  async reset(key) {
+    throw new Error(`${this.constructor.name} must implement reset()`);
+  }
+}
+
+export default BaseStore;
@@ -0,0 +1,64 @@
+import BaseStore from './BaseStore.js';
+
+// How often expired windows are dropped
+const CLEANUP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * MemoryStore - Keeps rate limit counters in process memory
+ * Only correct for a single server instance; counts are lost on restart.
+ * Extends BaseStore
+ */
+class MemoryStore extends BaseStore {
+  /**
+   * Constructor for the memory store
+   */
+  constructor() {
+    super();
+    this.windows = new Map();
+
+    // Don't keep the process alive just to clean up
+    this.cleanupTimer = setInterval(() => this.removeExpired(), CLEANUP_INTERVAL_MS);
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * Count a hit for a key
+   * @param {String} key - Bucket and client
+   * @param {Number} windowMs - Window length for a new window
+   * @returns {Promise<Object>} { count, resetAt }
+   */
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let window = this.windows.get(key);
+
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      this.windows.set(key, window);
+    }
+
+    window.count += 1;
+    return { count: window.count, resetAt: new Date(window.resetAt) };
+  }
+
+  /**
+   * Forget the count of a key
+   * @param {String} key - Bucket and client
+   * @returns {Promise<void>}
+   */
+  async reset(key) {
+    this.windows.delete(key);
+  }
+
+  /**
+   * Drop windows that have ended
+   * @private
+   */
+  removeExpired() {
+    const now = Date.now();
+    for (const [key, window] of this.windows) {
+      if (window.resetAt <= now) this.windows.delete(key);
+    }
+  }
+}
+
+export default MemoryStore;
@@ -0,0 +1,71 @@
+import BaseStore from './BaseStore.js';
+import RateLimitCounter from '../../models/RateLimitCounterModel.js';
+
+/**
+ * MongoStore - Keeps rate limit counters in MongoDB so every server
+ * instance sees the same counts
+ * Extends BaseStore
+ */
+class MongoStore extends BaseStore {
+  /**
+   * Constructor for the Mongo store
+   * @param {Object} model - Counter model (defaults to RateLimitCounter)
+   */
+  constructor(model = RateLimitCounter) {
+    super();
+    this.model = model;
+  }
+
+  /**
+   * Count a hit for a key in one atomic update
+   * @param {String} key - Bucket and client
+   * @param {Number} windowMs - Window length for a new window
+   * @returns {Promise<Object>} { count, resetAt }
+   */
+  async increment(key, windowMs) {
+    try {
+      return await this.incrementOnce(key, windowMs);
+    } catch (error) {
+      // Two instances creating the same counter at once: the loser retries as an update
+      if (error.code === 11000) {
+        return this.incrementOnce(key, windowMs);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Run the increment update
+   * @private
+   */
+  async incrementOnce(key, windowMs) {
+    const now = new Date();
+    const windowOpen = { $gt: ['$resetAt', now] };
+
+    // Both fields are computed from the stored values, so an ended window
+    // starts over at 1 instead of being counted on top of
+    const counter = await this.model.findOneAndUpdate(
+      { key },
+      [{
+        $set: {
+          count: { $cond: [windowOpen, { $add: ['$count', 1] }, 1] },
+          resetAt: { $cond: [windowOpen, '$resetAt', new Date(now.getTime() + windowMs)] },
+        },
+      }],
+      { new: true, upsert: true }
+    ).lean();
+
+    return { count: counter.count, resetAt: counter.resetAt };
+  }
+
+  /**
+   * Forget the count of a key
+   * @param {String} key - Bucket and client
+   * @returns {Promise<void>}
+   */
+  async reset(key) {
+    await this.model.deleteOne({ key });
+  }
+}
+
+export default MongoStore;
@@ -0,0 +1,63 @@
+/**
+ * Rate limit configuration
+ * Every bucket counts requests per client in a fixed window. Values come from
+ * environment variables, e.g. for the `llm` bucket:
+ *
+ *   RATE_LIMIT_LLM_MAX, RATE_LIMIT_LLM_WINDOW_SECONDS
+ *
+ * A max of 0 turns a bucket off. RATE_LIMIT_STORE picks where counters are
+ * kept: `memory` (default, one server instance) or `mongo` (shared between
+ * instances).
+ */
+
+// Default limits for each bucket
+export const BUCKET_DEFAULTS = {
+  // Every /api request
+  api: {
+    max: 120,
+    windowSeconds: 60,
+  },
+  // Requests that call the language model
+  llm: {
+    max: 20,
+    windowSeconds: 60,
+  },
+};
+
+/**
+ * Read a non-negative integer environment variable
+ * @param {String} name - Variable name
+ * @param {Number} fallback - Value to use when unset or invalid
+ * @returns {Number} The parsed value
+ */
+function readInteger(name, fallback) {
+  const value = parseInt(process.env[name]);
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Resolve the limit and window of a bucket
+ * @param {String} bucket - Bucket name (a key of BUCKET_DEFAULTS)
+ * @returns {Object} { max, windowMs }
+ */
+export function getBucketConfig(bucket) {
+  const defaults = BUCKET_DEFAULTS[bucket];
+  if (!defaults) {
+    throw new Error(`Unknown rate limit bucket: ${bucket}`);
+  }
+
+  const prefix = `RATE_LIMIT_${bucket.toUpperCase()}_`;
+
+  return {
+    max: readInteger(`${prefix}MAX`, defaults.max),
+    windowMs: Math.max(1, readInteger(`${prefix}WINDOW_SECONDS`, defaults.windowSeconds)) * 1000,
+  };
+}
+
+/**
+ * Get the configured counter store name
+ * @returns {String} 'memory' or 'mongo'
+ */
+export function getStoreName() {
+  return (process.env.RATE_LIMIT_STORE || 'memory').toLowerCase();
+}